@@ -1,7 +1,82 @@
-
 // Koncept Gaming - Interactive JavaScript
 // Enhanced with animations, smooth scrolling, and user interactions
 
+// Site root, resolved from this script's location (js/app.js) so that
+// data files load correctly from both index.html and pages/*.html
+const SITE_ROOT = document.currentScript
+    ? new URL('../', document.currentScript.src).href
+    : window.location.href;
+
+// Site-wide settings. A host page can override any of them by defining
+// window.KONCEPT_CONFIG before app.js loads. Sections are merged one by
+// one, so { performance: { sampleRate: 0.1 } } keeps the other
+// performance settings.
+const SITE_CONFIG = {
+    newsletter: {
+        endpoint: '/api/newsletter',
+        timeout: 8000,
+        retries: 2,
+        retryDelay: 1000
+    },
+    offline: {
+        serviceWorker: 'sw.js',
+        // Submissions held while offline; the oldest are dropped beyond this
+        queueLimit: 50
+    },
+    bonuses: {
+        // Offers not re-verified within this window are flagged
+        staleAfterHours: 24,
+        endingSoonDays: 7,
+        // 'dim' greys out expired offers, 'hide' removes them
+        expired: 'dim'
+    },
+    performance: {
+        // Field metrics are beaconed here when the page is hidden
+        endpoint: '/api/metrics',
+        // Share of page views that report (0 disables reporting)
+        sampleRate: 1
+    },
+    outbound: {
+        // Affiliate clicks are beaconed here as the visitor leaves
+        endpoint: '/api/clicks',
+        // Added to every affiliate URL; utm_campaign and the sub-ID are per link
+        params: { utm_source: 'konceptgaming', utm_medium: 'affiliate' },
+        subIdParam: 'subid',
+        // Show the code and key terms before leaving the site
+        interstitial: true
+    },
+    consent: {
+        // Bump when the privacy policy changes to ask every reader again
+        version: '2026-10-19',
+        policy: 'pages/privacy-policy.html'
+    },
+    structuredData: {
+        // Credited as the author of every review
+        publisher: { name: 'Koncept Gaming', url: 'https://koncept-gaming.com' }
+    },
+    motion: {
+        // Hero background moves at this fraction of the scroll speed
+        parallax: 0.5,
+        // data-aos reveals play once unless an element sets data-aos-once="false"
+        once: true
+    },
+    ageGate: {
+        // How long an age and location answer is remembered
+        rememberDays: 30,
+        // Where offers are never shown, on top of US states without legal
+        // online casinos: Ontario bans bonus advertising outside operator
+        // accounts, and the offers are for US and Canadian players only
+        restricted: ['CA-ON', 'OTHER']
+    }
+};
+
+Object.entries(window.KONCEPT_CONFIG || {}).forEach(([section, overrides]) => {
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    SITE_CONFIG[section] = isPlainObject(SITE_CONFIG[section]) && isPlainObject(overrides)
+        ? { ...SITE_CONFIG[section], ...overrides }
+        : overrides;
+});
+
 // Utility Functions
 const utils = {
     // Debounce function for performance optimization
@@ -42,13 +117,74 @@ const utils = {
         );
     },
 
+    // 'auto' (jump) when AnimationManager has reduced motion
+    scrollBehavior() {
+        return document.documentElement.classList.contains('motion-reduced') ? 'auto' : 'smooth';
+    },
+
     // Smooth scroll to element
     smoothScrollTo(element, offset = 100) {
         const elementPosition = element.offsetTop - offset;
         window.scrollTo({
             top: elementPosition,
-            behavior: 'smooth'
+            behavior: utils.scrollBehavior()
         });
+    },
+
+    // Resolve a site-relative path (e.g. 'data/bonuses.json') to an absolute URL
+    resolveUrl(path) {
+        return new URL(path, SITE_ROOT).href;
+    },
+
+    // Escape a value for safe use inside HTML templates
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Render a 0-5 rating as a row of filled and empty stars
+    renderStars(rating, max = 5) {
+        const filled = Math.min(max, Math.max(0, Math.round(rating)));
+        return '★'.repeat(filled) + '☆'.repeat(max - filled);
+    },
+
+    // Copy text to the clipboard. Falls back to a hidden textarea where the
+    // async Clipboard API is missing or refused (older browsers, plain http).
+    // Resolves to whether the copy succeeded.
+    async copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                // Permission denied, try the legacy path
+            }
+        }
+
+        const previousFocus = document.activeElement;
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            copied = false;
+        }
+
+        textarea.remove();
+        if (previousFocus && previousFocus.focus) {
+            previousFocus.focus();
+        }
+        return copied;
     }
 };
 
@@ -88,17 +224,88 @@ class DOMHandler {
 }
 
 // Animation and Scroll Effects Manager
+// Scroll reveals, hero parallax, the scrolled navbar and card ripples.
+// Elements opt in to a reveal with data-aos="<type>" (one of AOS_TYPES),
+// plus optional data-aos-delay / data-aos-duration in ms and
+// data-aos-once="false" to animate again each time they come into view.
+// Motion is reduced when the system asks for it (prefers-reduced-motion) or
+// the reader presses a [data-motion-toggle] button; their choice overrides
+// the system setting and is kept under the "motion" storage key. Scroll
+// work is batched into one requestAnimationFrame and paused while the page
+// is hidden. destroy() removes every observer and listener.
+const AOS_TYPES = ['fade', 'fade-up', 'fade-down', 'fade-left', 'fade-right', 'zoom-in', 'zoom-out', 'slide-up', 'slide-left', 'slide-right'];
+
 class AnimationManager {
-    constructor() {
-        this.observers = [];
-        this.animatedElements = new Set();
+    constructor(consent, options = SITE_CONFIG.motion) {
+        this.consent = consent;
+        this.options = { parallax: 0.5, once: true, ...options };
+        this.storageKey = 'motion';
+        this.reducedQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.heroBackground = document.querySelector('.hero-bg');
+        this.navbar = document.querySelector('.navbar');
+        this.observer = null;
+        this.listeners = [];
+        this.frame = null;
+        this.reduced = false;
+        this.paused = document.visibilityState === 'hidden';
+        this.destroyed = false;
         this.init();
     }
 
     init() {
+        this.applyMotion();
         this.createIntersectionObserver();
-        this.initScrollAnimations();
+        this.initScrollEffects();
         this.initHoverEffects();
+
+        this.listen(this.reducedQuery, 'change', () => this.applyMotion());
+
+        this.listen(document, 'click', (e) => {
+            if (e.target.closest('[data-motion-toggle]')) {
+                this.setReduced(!this.reduced);
+            }
+        });
+
+        // Pick up content rendered after page load (e.g. the bonus catalog)
+        this.listen(document, 'koncept:rendered', (e) => {
+            this.observeElements(e.detail.root);
+        });
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push([target, type, handler, options]);
+    }
+
+    // The reader's choice wins over the system setting
+    isReduced() {
+        const saved = this.consent.getItem(this.storageKey);
+        if (saved === 'reduce' || saved === 'full') {
+            return saved === 'reduce';
+        }
+        return this.reducedQuery.matches;
+    }
+
+    setReduced(reduced) {
+        this.consent.setItem(this.storageKey, reduced ? 'reduce' : 'full');
+        this.applyMotion();
+    }
+
+    applyMotion() {
+        this.reduced = this.isReduced();
+        const root = document.documentElement;
+        root.classList.toggle('motion-reduced', this.reduced);
+        root.classList.toggle('motion-full', !this.reduced);
+
+        document.querySelectorAll('[data-motion-toggle]').forEach(toggle => {
+            toggle.setAttribute('aria-pressed', String(this.reduced));
+        });
+
+        if (this.reduced && this.heroBackground) {
+            this.heroBackground.style.transform = '';
+        } else {
+            this.requestFrame();
+        }
     }
 
     createIntersectionObserver() {
@@ -108,143 +315,165 @@ class AnimationManager {
             threshold: 0.1
         };
 
-        const observer = new IntersectionObserver((entries) => {
+        this.observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
-                    this.animateElement(entry.target);
-                    this.animatedElements.add(entry.target);
+                const element = entry.target;
+                if (entry.isIntersecting) {
+                    element.classList.add('aos-animate');
+                    if (this.isOnce(element)) {
+                        this.observer.unobserve(element);
+                    }
+                } else if (!this.isOnce(element)) {
+                    element.classList.remove('aos-animate');
                 }
             });
         }, options);
 
         // Observe elements with animation data attributes
-        document.querySelectorAll('[data-aos]').forEach(el => {
-            observer.observe(el);
-        });
+        this.observeElements(document);
+    }
 
-        this.observers.push(observer);
+    isOnce(element) {
+        return element.dataset.aosOnce === undefined
+            ? this.options.once
+            : element.dataset.aosOnce !== 'false';
     }
 
-    animateElement(element) {
-        const animationType = element.dataset.aos;
-        const delay = element.dataset.aosDelay || 0;
+    observeElements(root) {
+        const elements = [...root.querySelectorAll('[data-aos]')];
+        if (root.matches && root.matches('[data-aos]')) {
+            elements.push(root);
+        }
 
-        setTimeout(() => {
-            element.classList.add('aos-animate');
-            
-            // Add custom animations based on type
-            switch(animationType) {
-                case 'fade-up':
-                    this.fadeUp(element);
-                    break;
-                case 'zoom-in':
-                    this.zoomIn(element);
-                    break;
-                case 'slide-up':
-                    this.slideUp(element);
-                    break;
-                default:
-                    element.style.opacity = '1';
-                    element.style.transform = 'none';
+        elements.forEach(element => {
+            if (!AOS_TYPES.includes(element.dataset.aos)) {
+                console.warn(`Unknown data-aos type "${element.dataset.aos}", using "fade"`);
+                element.dataset.aos = 'fade';
             }
-        }, parseInt(delay));
+
+            const delay = parseInt(element.dataset.aosDelay, 10);
+            const duration = parseInt(element.dataset.aosDuration, 10);
+            if (delay > 0) {
+                element.style.transitionDelay = `${delay}ms`;
+            }
+            if (duration > 0) {
+                element.style.transitionDuration = `${duration}ms`;
+            }
+
+            this.observer.observe(element);
+        });
     }
 
-    fadeUp(element) {
-        element.style.opacity = '1';
-        element.style.transform = 'translateY(0)';
+    initScrollEffects() {
+        if (!this.heroBackground && !this.navbar) {
+            return;
+        }
+
+        this.listen(window, 'scroll', () => this.requestFrame(), { passive: true });
+        this.requestFrame();
     }
 
-    zoomIn(element) {
-        element.style.opacity = '1';
-        element.style.transform = 'scale(1)';
+    // At most one scroll update per frame, none while hidden
+    requestFrame() {
+        if (this.frame !== null || this.paused || this.destroyed) {
+            return;
+        }
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.updateScrollEffects();
+        });
     }
 
-    slideUp(element) {
-        element.style.opacity = '1';
-        element.style.transform = 'translateY(0)';
+    updateScrollEffects() {
+        const scrolled = window.scrollY;
+
+        if (this.navbar) {
+            this.navbar.classList.toggle('scrolled', scrolled > 100);
+        }
+
+        // The hero is out of view past its own height, so stop moving it there
+        if (this.heroBackground && !this.reduced) {
+            const offset = Math.min(scrolled, this.heroBackground.offsetHeight) * this.options.parallax;
+            this.heroBackground.style.transform = `translate3d(0, ${offset}px, 0)`;
+        }
     }
 
-    initScrollAnimations() {
-        // Parallax effect for hero background
-        const heroBackground = document.querySelector('.hero-bg');
-        if (heroBackground) {
-            window.addEventListener('scroll', utils.throttle(() => {
-                const scrolled = window.pageYOffset;
-                const parallax = scrolled * 0.5;
-                heroBackground.style.transform = `translateY(${parallax}px)`;
-            }, 16));
+    handleVisibilityChange(visible) {
+        if (this.destroyed) {
+            return;
         }
 
-        // Navbar background on scroll
-        const navbar = document.querySelector('.navbar');
-        if (navbar) {
-            window.addEventListener('scroll', utils.throttle(() => {
-                if (window.scrollY > 100) {
-                    navbar.classList.add('scrolled');
-                } else {
-                    navbar.classList.remove('scrolled');
-                }
-            }, 16));
+        this.paused = !visible;
+        document.documentElement.classList.toggle('motion-paused', this.paused);
+
+        if (this.paused && this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        } else {
+            // Catch up with any scrolling done while hidden
+            this.requestFrame();
         }
     }
 
     initHoverEffects() {
-        // Enhanced hover effects for cards
-        const cards = document.querySelectorAll('.bonus-card, .category-card, .state-card');
-        
-        cards.forEach(card => {
-            card.addEventListener('mouseenter', (e) => {
-                this.createHoverRipple(e.currentTarget, e);
-            });
+        // One listener for every card, including ones rendered later.
+        // pointerover bubbles; moves between a card's children are ignored.
+        this.listen(document, 'pointerover', (e) => {
+            const card = e.target.closest('.bonus-card, .category-card, .state-card');
+            if (e.pointerType !== 'mouse' || !card || card.contains(e.relatedTarget)) {
+                return;
+            }
+            this.createHoverRipple(card, e);
         });
     }
 
+    // Each card keeps a single ripple element that is restarted on entry
     createHoverRipple(element, event) {
+        if (this.reduced || this.paused) {
+            return;
+        }
+
+        let ripple = element.querySelector(':scope > .hover-ripple');
+        if (!ripple) {
+            ripple = document.createElement('span');
+            ripple.className = 'hover-ripple';
+            ripple.setAttribute('aria-hidden', 'true');
+            ripple.addEventListener('animationend', () => ripple.classList.remove('is-active'));
+            element.appendChild(ripple);
+        }
+
         const rect = element.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-        
-        const ripple = document.createElement('div');
-        ripple.className = 'hover-ripple';
-        ripple.style.cssText = `
-            position: absolute;
-            left: ${x}px;
-            top: ${y}px;
-            width: 0;
-            height: 0;
-            background: rgba(11, 48, 55, 0.1);
-            border-radius: 50%;
-            transform: translate(-50%, -50%);
-            animation: ripple-animation 0.6s linear;
-            pointer-events: none;
-            z-index: 1;
-        `;
+        ripple.style.left = `${event.clientX - rect.left}px`;
+        ripple.style.top = `${event.clientY - rect.top}px`;
 
-        element.style.position = 'relative';
-        element.appendChild(ripple);
+        ripple.classList.remove('is-active');
+        // Reading layout restarts the animation when the class is re-added
+        void ripple.offsetWidth;
+        ripple.classList.add('is-active');
+    }
 
-        // Create animation keyframes if not exists
-        if (!document.querySelector('#ripple-styles')) {
-            const style = document.createElement('style');
-            style.id = 'ripple-styles';
-            style.textContent = `
-                @keyframes ripple-animation {
-                    to {
-                        width: 300px;
-                        height: 300px;
-                        opacity: 0;
-                    }
-                }
-            `;
-            document.head.appendChild(style);
+    destroy() {
+        if (this.destroyed) {
+            return;
         }
 
-        setTimeout(() => {
-            if (ripple.parentNode) {
-                ripple.parentNode.removeChild(ripple);
-            }
-        }, 600);
+        this.destroyed = true;
+        this.observer.disconnect();
+        this.listeners.forEach(([target, type, handler, options]) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.heroBackground) {
+            this.heroBackground.style.transform = '';
+        }
+        document.querySelectorAll('.hover-ripple').forEach(ripple => ripple.remove());
+        document.documentElement.classList.remove('motion-paused');
     }
 }
 
@@ -254,6 +483,8 @@ class NavigationManager {
         this.hamburger = document.getElementById('hamburger');
         this.navMenu = document.getElementById('nav-menu');
         this.navLinks = document.querySelectorAll('.nav-link');
+        this.mobileQuery = window.matchMedia('(max-width: 768px)');
+        this.returnFocus = null;
         this.init();
     }
 
@@ -261,10 +492,17 @@ class NavigationManager {
         this.initMobileMenu();
         this.initSmoothScrolling();
         this.initActiveNavigation();
+        this.initSkipLink();
     }
 
+    // The hamburger is a disclosure button for #nav-menu. While the menu is
+    // open on small screens, focus is kept inside it (plus the button, so it
+    // can be closed again) and the page behind it does not scroll.
     initMobileMenu() {
         if (this.hamburger && this.navMenu) {
+            this.hamburger.setAttribute('aria-controls', this.navMenu.id);
+            this.hamburger.setAttribute('aria-expanded', 'false');
+
             this.hamburger.addEventListener('click', () => {
                 this.toggleMobileMenu();
             });
@@ -282,27 +520,134 @@ class NavigationManager {
                     this.closeMobileMenu();
                 }
             });
+
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab' && this.isMenuOpen()) {
+                    this.trapFocus(e);
+                }
+            });
+
+            // Rotating a tablet to a desktop layout leaves no menu to close
+            this.mobileQuery.addEventListener('change', (e) => {
+                if (!e.matches) {
+                    this.closeMobileMenu();
+                }
+            });
         }
     }
 
+    isMenuOpen() {
+        return Boolean(this.navMenu) && this.navMenu.classList.contains('active');
+    }
+
     toggleMobileMenu() {
-        this.hamburger.classList.toggle('active');
-        this.navMenu.classList.toggle('active');
+        if (this.isMenuOpen()) {
+            this.closeMobileMenu({ restoreFocus: true });
+        } else {
+            this.openMobileMenu();
+        }
+    }
+
+    openMobileMenu() {
+        if (!this.hamburger || !this.navMenu || this.isMenuOpen()) {
+            return;
+        }
+
+        this.returnFocus = document.activeElement;
+        this.hamburger.classList.add('active');
+        this.hamburger.setAttribute('aria-expanded', 'true');
+        this.navMenu.classList.add('active');
+        document.body.classList.add('nav-open');
+
+        const [first] = this.getMenuFocusables();
+        if (first) {
+            first.focus();
+        }
     }
 
-    closeMobileMenu() {
+    // restoreFocus returns focus to whatever opened the menu (normally the
+    // hamburger); following a link or clicking elsewhere leaves focus alone
+    closeMobileMenu({ restoreFocus = false } = {}) {
+        if (!this.isMenuOpen()) {
+            return;
+        }
+
         this.hamburger.classList.remove('active');
+        this.hamburger.setAttribute('aria-expanded', 'false');
         this.navMenu.classList.remove('active');
+        document.body.classList.remove('nav-open');
+
+        if (restoreFocus) {
+            const target = this.returnFocus && document.contains(this.returnFocus) ? this.returnFocus : this.hamburger;
+            target.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    getMenuFocusables() {
+        return [...this.navMenu.querySelectorAll('a[href], button:not([disabled]), input, select, [tabindex]:not([tabindex="-1"])')];
+    }
+
+    trapFocus(e) {
+        const focusables = [this.hamburger, ...this.getMenuFocusables()];
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (!focusables.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Every page gets a "Skip to main content" link as its first focusable
+    // element. The target is <main> or [data-main-content] when a page has
+    // one, otherwise the first element after the navbar.
+    initSkipLink() {
+        const navbar = document.getElementById('navbar');
+        const target = document.querySelector('main, [data-main-content]') || (navbar && navbar.nextElementSibling);
+        if (!target || document.querySelector('.skip-link')) {
+            return;
+        }
+
+        target.id = target.id || 'main-content';
+        if (!target.hasAttribute('tabindex')) {
+            target.tabIndex = -1;
+        }
+
+        const link = document.createElement('a');
+        link.className = 'skip-link';
+        link.href = `#${target.id}`;
+        link.textContent = 'Skip to main content';
+        link.dataset.i18n = 'nav.skipToContent';
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            target.focus({ preventScroll: true });
+            utils.smoothScrollTo(target);
+        });
+
+        document.body.prepend(link);
     }
 
     initSmoothScrolling() {
         // Smooth scrolling for anchor links
         document.querySelectorAll('a[href^="#"]').forEach(link => {
             link.addEventListener('click', (e) => {
-                e.preventDefault();
                 const targetId = link.getAttribute('href');
-                const targetElement = document.querySelector(targetId);
-                
+                const targetElement = targetId.length > 1 ? document.getElementById(targetId.slice(1)) : null;
+
+                // Tab panels and accordion items open themselves on hashchange
+                if (targetElement && targetElement.closest('[role="tabpanel"], [data-accordion-item]')) {
+                    this.closeMobileMenu();
+                    return;
+                }
+
+                e.preventDefault();
                 if (targetElement) {
                     utils.smoothScrollTo(targetElement);
                     this.closeMobileMenu();
@@ -312,8 +657,14 @@ class NavigationManager {
     }
 
     initActiveNavigation() {
-        // Update active navigation based on scroll position
+        // Update active navigation based on scroll position. Only in-page
+        // links take part; the link to the current page is marked active when
+        // the page is built (scripts/build-pages.js).
         const sections = document.querySelectorAll('section[id]');
+        const hashLinks = [...this.navLinks].filter(link => (link.getAttribute('href') || '').startsWith('#'));
+        if (hashLinks.length === 0) {
+            return;
+        }
         
         window.addEventListener('scroll', utils.throttle(() => {
             let currentSection = '';
@@ -325,7 +676,7 @@ class NavigationManager {
                 }
             });
 
-            this.navLinks.forEach(link => {
+            hashLinks.forEach(link => {
                 link.classList.remove('active');
                 if (link.getAttribute('href') === `#${currentSection}`) {
                     link.classList.add('active');
@@ -336,60 +687,274 @@ class NavigationManager {
 }
 
 // Form Handler Manager
+// Forms opt in with data-form-handler="<name>"; handlers are registered by
+// name and receive (form, formData) once the form's declared rules pass.
+// A handler may return { message, type } to have it shown under the form.
+//
+// Rules, on a field or on a container around a radio/checkbox group:
+//   required / data-required   a value, or at least one checked option
+//   data-pattern               the whole value must match the regex
+//   data-min / data-max        numeric bounds, or checked-option counts
+// Messages can be overridden with data-{required,pattern,min,max}-message.
 class FormManager {
-    constructor() {
+    constructor(newsletter, i18n) {
         this.forms = document.querySelectorAll('form');
+        this.newsletter = newsletter;
+        this.i18n = i18n;
+        this.handlers = new Map();
+        this.fieldCount = 0;
         this.init();
     }
 
     init() {
-        this.forms.forEach(form => {
-            form.addEventListener('submit', (e) => {
-                this.handleFormSubmit(e);
-            });
+        this.registerHandler('newsletter', (form, formData) => this.handleNewsletterSubmit(form, formData));
+
+        this.forms.forEach(form => this.attach(form));
+
+        this.i18n.ready.then(() => this.showNewsletterOutcome());
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`form.${key}`, params, fallback);
+    }
+
+    registerHandler(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    // Forms rendered after load are wired up by passing them here
+    attach(form) {
+        form.addEventListener('submit', (e) => {
+            this.handleFormSubmit(e);
         });
+
+        if (form.dataset.formHandler) {
+            form.noValidate = true;
+
+            // Clear errors as soon as the reader fixes a flagged field
+            ['input', 'change'].forEach(type => {
+                form.addEventListener(type, (e) => {
+                    const target = this.getValidationTargets(form).find(target =>
+                        target === e.target || (target.contains(e.target) && !this.isControl(target)));
+                    if (target && target.hasAttribute('aria-invalid')) {
+                        this.setFieldError(target, this.validateField(target));
+                    }
+                });
+            });
+        }
     }
 
-    handleFormSubmit(event) {
+    async handleFormSubmit(event) {
         event.preventDefault();
         const form = event.target;
-        const formData = new FormData(form);
-        
-        // Newsletter form handling
-        if (form.id === 'newsletter-form') {
-            this.handleNewsletterSubmit(form, formData);
+        const handler = this.handlers.get(form.dataset.formHandler);
+
+        if (!handler) {
+            return;
+        }
+
+        if (!this.validateForm(form)) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await handler(form, new FormData(form));
+        } catch (error) {
+            console.error(`Form handler "${form.dataset.formHandler}" failed:`, error);
+            result = { message: this.t('failed', {}, 'Something went wrong. Please try again.'), type: 'error' };
+        }
+
+        if (result && result.message) {
+            this.showMessage(form, result.message, result.type);
         }
-        
-        // Add more form handlers as needed
     }
 
-    handleNewsletterSubmit(form, formData) {
-        const email = formData.get('email') || form.querySelector('input[type="email"]').value;
-        const submitButton = form.querySelector('button[type="submit"]');
-        const originalText = submitButton.textContent;
-        
-        // Validate email
-        if (!this.isValidEmail(email)) {
-            this.showMessage(form, 'Please enter a valid email address', 'error');
+    isControl(element) {
+        return element.matches('input, select, textarea');
+    }
+
+    // Every field or group in the form that declares at least one rule
+    getValidationTargets(form) {
+        const ruleSelector = '[required], [data-required], [data-pattern], [data-min], [data-max], input[type="email"]';
+        return [...form.querySelectorAll(ruleSelector)].filter(element =>
+            !this.isControl(element) || !['radio', 'checkbox'].includes(element.type) || !element.parentElement.closest(ruleSelector));
+    }
+
+    // Returns the error message for a field or group, or '' when it passes
+    validateField(target) {
+        const data = target.dataset;
+        const required = target.required || 'required' in data;
+
+        if (!this.isControl(target) || ['radio', 'checkbox'].includes(target.type)) {
+            const checked = this.isControl(target)
+                ? target.checked ? 1 : 0
+                : target.querySelectorAll('input:checked').length;
+
+            if (required && checked === 0) {
+                return data.requiredMessage || this.t('chooseOption', {}, 'Please choose an option');
+            }
+            if (data.min && checked < Number(data.min)) {
+                return data.minMessage || this.t('chooseMin', { min: data.min }, 'Please choose at least {min} options');
+            }
+            if (data.max && checked > Number(data.max)) {
+                return data.maxMessage || this.t('chooseMax', { max: data.max }, 'Please choose no more than {max} options');
+            }
+            return '';
+        }
+
+        const value = target.value.trim();
+        if (!value) {
+            return required ? data.requiredMessage || this.t('required', {}, 'Please fill in this field') : '';
+        }
+        if (target.type === 'email' && !this.isValidEmail(value)) {
+            return data.patternMessage || this.t('email', {}, 'Please enter a valid email address');
+        }
+        if (data.pattern && !new RegExp(`^(?:${data.pattern})$`).test(value)) {
+            return data.patternMessage || this.t('pattern', {}, 'Please match the requested format');
+        }
+        if (data.min && !(Number(value) >= Number(data.min))) {
+            return data.minMessage || this.t('min', { min: data.min }, 'Please enter {min} or more');
+        }
+        if (data.max && !(Number(value) <= Number(data.max))) {
+            return data.maxMessage || this.t('max', { max: data.max }, 'Please enter {max} or less');
+        }
+        return '';
+    }
+
+    validateForm(form) {
+        const invalid = this.getValidationTargets(form).filter(target => {
+            const message = this.validateField(target);
+            this.setFieldError(target, message);
+            return message !== '';
+        });
+
+        if (invalid.length > 0) {
+            const first = invalid[0];
+            (this.isControl(first) ? first : first.querySelector('input, select, textarea')).focus();
+        }
+
+        return invalid.length === 0;
+    }
+
+    // Shows or clears the inline error tied to a field or group
+    setFieldError(target, message) {
+        if (!target.id) {
+            target.id = `form-field-${++this.fieldCount}`;
+        }
+
+        const errorId = `${target.id}-error`;
+        const describedBy = (target.getAttribute('aria-describedby') || '')
+            .split(/\s+/)
+            .filter(id => id && id !== errorId);
+        let error = document.getElementById(errorId);
+
+        if (!message) {
+            if (error) {
+                error.remove();
+            }
+            target.removeAttribute('aria-invalid');
+            if (describedBy.length > 0) {
+                target.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                target.removeAttribute('aria-describedby');
+            }
             return;
         }
 
+        if (!error) {
+            error = document.createElement('p');
+            error.className = 'field-error';
+            error.id = errorId;
+            if (this.isControl(target)) {
+                target.after(error);
+            } else {
+                target.appendChild(error);
+            }
+        }
+        error.textContent = message;
+
+        // Groups need a role for aria-invalid and the description to be announced
+        if (!this.isControl(target) && !target.matches('fieldset') && !target.hasAttribute('role')) {
+            target.setAttribute('role', target.querySelector('input[type="radio"]') ? 'radiogroup' : 'group');
+        }
+        target.setAttribute('aria-invalid', 'true');
+        target.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+    }
+
+    async handleNewsletterSubmit(form, formData) {
+        const email = formData.get('email').trim();
+        const submitButton = form.querySelector('button[type="submit"]');
+        const originalText = submitButton.textContent;
+
         // Show loading state
-        submitButton.textContent = 'Subscribing...';
+        submitButton.textContent = this.t('newsletter.subscribing', {}, 'Subscribing...');
         submitButton.disabled = true;
 
-        // Simulate API call (replace with actual endpoint)
-        setTimeout(() => {
-            // Reset button
+        try {
+            const result = await this.newsletter.subscribe(email, {
+                source: window.location.pathname,
+                locale: document.documentElement.lang
+            });
+
+            form.reset();
+            if (result.status === 'subscribed') {
+                return { message: this.t('newsletter.subscribed', {}, 'You are already subscribed. Thanks for sticking with us!'), type: 'success' };
+            }
+            if (result.status === 'queued') {
+                return {
+                    message: this.t('newsletter.queued', { email }, "You're offline right now. We'll send your signup for {email} as soon as you reconnect."),
+                    type: 'success'
+                };
+            }
+            return {
+                message: this.t('newsletter.pending', { email }, 'Almost done! We sent a confirmation link to {email}. Click it to start receiving bonuses.'),
+                type: 'success'
+            };
+        } catch (error) {
+            return { message: this.getSubscriptionErrorMessage(error), type: 'error' };
+        } finally {
             submitButton.textContent = originalText;
             submitButton.disabled = false;
-            
-            // Show success message
-            this.showMessage(form, 'Thank you for subscribing! Check your email for exclusive bonuses.', 'success');
-            
-            // Reset form
-            form.reset();
-        }, 1500);
+        }
+    }
+
+    // Server error codes mapped to reader-facing messages
+    getSubscriptionErrorMessage(error) {
+        const messages = {
+            invalid_email: 'Please enter a valid email address',
+            rate_limited: 'We just sent you a confirmation email. Please check your inbox before trying again.',
+            timeout: 'The subscription service is taking too long to respond. Please try again.',
+            network: 'We could not reach the subscription service. Check your connection and try again.'
+        };
+
+        if (error instanceof SubscriptionError && messages[error.code]) {
+            return this.t(`newsletter.errors.${error.code}`, {}, messages[error.code]);
+        }
+        console.error('Newsletter subscription failed:', error);
+
+        // Other client errors carry a message meant for the reader
+        if (error instanceof SubscriptionError && error.status >= 400 && error.status < 500) {
+            return error.message;
+        }
+        return this.t('newsletter.errors.unavailable', {}, 'Subscriptions are temporarily unavailable. Please try again later.');
+    }
+
+    // The confirmation and unsubscribe links land back on the site with
+    // ?newsletter=<outcome>
+    showNewsletterOutcome() {
+        const form = document.getElementById('newsletter-form');
+        const outcome = new URLSearchParams(window.location.search).get('newsletter');
+        const outcomes = {
+            confirmed: ['Your subscription is confirmed. Welcome aboard!', 'success'],
+            unsubscribed: ['You have been unsubscribed and will not receive further emails.', 'success'],
+            'invalid-token': ['That link is invalid or has expired. Please subscribe again.', 'error']
+        };
+
+        if (form && outcomes[outcome]) {
+            const [message, type] = outcomes[outcome];
+            this.showMessage(form, this.t(`newsletter.outcomes.${outcome}`, {}, message), type);
+        }
     }
 
     isValidEmail(email) {
@@ -397,7 +962,9 @@ class FormManager {
         return emailRegex.test(email);
     }
 
-    showMessage(form, message, type) {
+    // The one place forms report outcomes: type is 'success', 'warning' or
+    // 'error'. Errors are announced assertively; pass duration 0 to keep the message.
+    showMessage(form, message, type = 'success', { duration = 5000 } = {}) {
         // Remove existing message
         const existingMessage = form.querySelector('.form-message');
         if (existingMessage) {
@@ -407,6 +974,7 @@ class FormManager {
         // Create new message element
         const messageElement = document.createElement('div');
         messageElement.className = `form-message ${type}`;
+        messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
         messageElement.textContent = message;
         
         // Style the message
@@ -420,6 +988,8 @@ class FormManager {
             animation: slideDown 0.3s ease;
             ${type === 'success' ? 
                 'background: #d4edda; color: #155724; border: 1px solid #c3e6cb;' :
+                type === 'warning' ?
+                'background: #fff3cd; color: #856404; border: 1px solid #ffeeba;' :
                 'background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb;'
             }
         `;
@@ -445,7 +1015,11 @@ class FormManager {
 
         form.appendChild(messageElement);
 
-        // Auto-remove message after 5 seconds
+        if (!duration) {
+            return;
+        }
+
+        // Auto-remove message after the duration
         setTimeout(() => {
             if (messageElement.parentNode) {
                 messageElement.style.animation = 'slideUp 0.3s ease';
@@ -453,15 +1027,127 @@ class FormManager {
                     messageElement.remove();
                 }, 300);
             }
-        }, 5000);
+        }, duration);
+    }
+}
+
+// Newsletter Subscription
+// Raised by NewsletterAdapter; code is the server's error code or one of
+// 'timeout' / 'network' for failures that never reached it.
+class SubscriptionError extends Error {
+    constructor(code, message, status = 0) {
+        super(message || `Newsletter subscription failed (${code})`);
+        this.name = 'SubscriptionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Posts subscriptions as JSON to {endpoint}/subscribe. Anything with a
+// subscribe(email, details) method returning { status } can stand in for
+// it when FormManager is constructed. Network failures, timeouts and 5xx
+// responses are retried; 4xx responses are final. With a queue (see
+// OfflineManager) a subscription made offline resolves to
+// { status: 'queued' } and is sent once the connection is back.
+class NewsletterAdapter {
+    constructor({ endpoint, timeout = 8000, retries = 2, retryDelay = 1000 } = {}, queue = null) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.queue = queue;
+    }
+
+    async subscribe(email, details = {}) {
+        return this.post('subscribe', { email, ...details });
+    }
+
+    async post(action, body) {
+        const url = `${this.endpoint.replace(/\/$/, '')}/${action}`;
+        let lastError = null;
+
+        // Offline requests are held by the queue and sent on reconnect
+        if (this.queue && !navigator.onLine) {
+            this.queue.enqueue({
+                type: 'newsletter',
+                url,
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(body)
+            });
+            return { status: 'queued' };
+        }
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
+            }
+
+            try {
+                return await this.request(url, body);
+            } catch (error) {
+                lastError = error;
+                if (error.status >= 400 && error.status < 500) {
+                    throw error;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    async request(url, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw controller.signal.aborted
+                ? new SubscriptionError('timeout')
+                : new SubscriptionError('network', error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = data.error || {};
+            throw new SubscriptionError(error.code || 'server_error', error.message, response.status);
+        }
+        return data;
     }
 }
 
+// Locales the site is translated for. The currency is the default for
+// amounts that don't name their own.
+const LOCALES = {
+    'en-US': { label: 'English (US)', currency: 'USD' },
+    'en-CA': { label: 'English (CA)', currency: 'CAD' },
+    'fr-CA': { label: 'Français (CA)', currency: 'CAD' }
+};
+const DEFAULT_LOCALE = 'en-US';
+
+// Translation bundles available under data/i18n/<bundle>.json
+const TRANSLATION_BUNDLES = ['en', 'fr'];
+
 // Language Manager
+// Swaps page text for the selected locale. Markup opts in with
+// data-i18n="key" (text content) and data-i18n-attr="attr:key; attr:key"
+// (attributes, including <title> and meta tags). A missing key falls back
+// along fr-CA -> fr -> en -> the original markup.
 class LanguageManager {
-    constructor() {
-        this.currentLanguage = 'en';
+    constructor(consent) {
+        this.consent = consent;
+        this.currentLanguage = DEFAULT_LOCALE;
         this.languageSelect = document.getElementById('language-select');
+        this.dictionaries = {};
+        this.originals = new WeakMap();
         this.init();
     }
 
@@ -473,39 +1159,185 @@ class LanguageManager {
         }
 
         // Set initial language from localStorage or browser preference
-        const savedLanguage = localStorage.getItem('preferred-language') || this.getBrowserLanguage();
-        if (savedLanguage && savedLanguage !== 'en') {
-            this.switchLanguage(savedLanguage);
-        }
+        const savedLanguage = this.normalizeLocale(this.consent.getItem('preferred-language'))
+            || this.getBrowserLanguage();
+        this.ready = this.applyLanguage(savedLanguage);
+
+        // Translate content rendered after page load
+        document.addEventListener('koncept:rendered', (e) => {
+            this.translate(e.detail.root);
+        });
     }
 
     getBrowserLanguage() {
-        const lang = navigator.language || navigator.userLanguage;
-        return lang.startsWith('fr') ? 'fr' : 'en';
+        const languages = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || navigator.userLanguage || DEFAULT_LOCALE];
+
+        for (const lang of languages) {
+            const locale = this.normalizeLocale(lang);
+            if (locale) {
+                return locale;
+            }
+        }
+        return DEFAULT_LOCALE;
     }
 
-    switchLanguage(language) {
-        this.currentLanguage = language;
-        localStorage.setItem('preferred-language', language);
-        
+    // Map any language tag ('fr', 'fr-FR', 'en-ca') onto a supported locale
+    normalizeLocale(tag) {
+        if (!tag) {
+            return null;
+        }
+
+        const [language, region] = tag.toLowerCase().split(/[-_]/);
+        const exact = Object.keys(LOCALES).find(locale => locale.toLowerCase() === `${language}-${region}`);
+        if (exact) {
+            return exact;
+        }
+
+        if (language === 'fr') {
+            return 'fr-CA';
+        }
+        return language === 'en' ? DEFAULT_LOCALE : null;
+    }
+
+    async switchLanguage(language) {
+        const locale = this.normalizeLocale(language) || DEFAULT_LOCALE;
+        this.consent.setItem('preferred-language', locale);
+
+        await this.applyLanguage(locale);
+        this.showLanguageSwitch(locale);
+    }
+
+    async applyLanguage(locale) {
+        this.currentLanguage = locale;
+
         if (this.languageSelect) {
-            this.languageSelect.value = language;
+            this.languageSelect.value = locale;
+        }
+
+        await this.loadBundles(this.getFallbackChain(locale));
+
+        // Ignore a slower load that was overtaken by a newer switch
+        if (this.currentLanguage !== locale) {
+            return;
         }
 
-        // In a real application, you would load language-specific content
-        // For now, we'll just show a message
-        this.showLanguageSwitch(language);
+        document.documentElement.lang = locale;
+        this.translate(document);
+
+        document.dispatchEvent(new CustomEvent('koncept:language-changed', {
+            detail: { language: locale }
+        }));
     }
 
-    showLanguageSwitch(language) {
-        const messages = {
-            'en': 'Language switched to English',
-            'fr': 'Langue changée en français'
-        };
+    getFallbackChain(locale = this.currentLanguage) {
+        const base = locale.split('-')[0];
+        return [...new Set([locale, base, 'en'])].filter(bundle => TRANSLATION_BUNDLES.includes(bundle));
+    }
+
+    async loadBundles(bundles) {
+        await Promise.all(bundles
+            .filter(bundle => !(bundle in this.dictionaries))
+            .map(async bundle => {
+                try {
+                    const response = await fetch(utils.resolveUrl(`data/i18n/${bundle}.json`));
+                    if (!response.ok) {
+                        throw new Error(`Unexpected response ${response.status}`);
+                    }
+                    this.dictionaries[bundle] = await response.json();
+                } catch (error) {
+                    console.error(`Translation bundle "${bundle}" failed to load:`, error);
+                    this.dictionaries[bundle] = {};
+                }
+            }));
+    }
+
+    // Translate a dotted key, e.g. t('bonus.claim') or t('filter.count', { count: 3 })
+    t(key, params = {}, fallback = key) {
+        for (const bundle of this.getFallbackChain()) {
+            const value = this.lookup(this.dictionaries[bundle], key);
+            if (typeof value === 'string') {
+                return this.interpolate(value, params);
+            }
+        }
+        return this.interpolate(fallback, params);
+    }
+
+    // Pick a translated field from a data record carrying an "i18n" map,
+    // e.g. { welcomeOffer: '...', i18n: { fr: { welcomeOffer: '...' } } }
+    localize(record, field) {
+        const translations = record.i18n || {};
+        for (const bundle of this.getFallbackChain()) {
+            if (translations[bundle] && translations[bundle][field] !== undefined) {
+                return translations[bundle][field];
+            }
+        }
+        return record[field];
+    }
+
+    lookup(dictionary, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+    }
+
+    interpolate(template, params) {
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    translate(root) {
+        const elements = root.querySelectorAll ? root.querySelectorAll('[data-i18n], [data-i18n-attr]') : [];
+        const targets = root.matches && root.matches('[data-i18n], [data-i18n-attr]') ? [root, ...elements] : elements;
+
+        targets.forEach(element => {
+            const original = this.getOriginal(element);
+
+            if (element.dataset.i18n) {
+                element.textContent = this.t(element.dataset.i18n, {}, original.text);
+            }
+
+            Object.entries(original.attributes).forEach(([attribute, { key, value }]) => {
+                element.setAttribute(attribute, this.t(key, {}, value));
+            });
+        });
+    }
+
+    // Remember the markup's own text the first time an element is translated,
+    // it is the last step of the fallback chain
+    getOriginal(element) {
+        if (!this.originals.has(element)) {
+            const attributes = {};
+            (element.dataset.i18nAttr || '').split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part && part.trim());
+                if (attribute && key) {
+                    attributes[attribute] = { key, value: element.getAttribute(attribute) || '' };
+                }
+            });
+
+            this.originals.set(element, {
+                text: element.textContent.replace(/\s+/g, ' ').trim(),
+                attributes
+            });
+        }
+        return this.originals.get(element);
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.currentLanguage, options).format(value);
+    }
+
+    formatCurrency(amount, currency = LOCALES[this.currentLanguage].currency) {
+        return this.formatNumber(amount, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+            maximumFractionDigits: 2
+        });
+    }
 
+    showLanguageSwitch(language) {
         // Create temporary message
         const message = document.createElement('div');
-        message.textContent = messages[language] || messages['en'];
+        message.textContent = this.t('language.switched', { language: LOCALES[language].label });
         message.style.cssText = `
             position: fixed;
             top: 100px;
@@ -564,81 +1396,418 @@ class LanguageManager {
     }
 }
 
+// US states and territories offered in the state picker
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+    FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+    IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+    ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+    NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+    PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// States with legal, regulated real-money online casinos
+const LEGAL_CASINO_STATES = ['CT', 'DE', 'MI', 'NJ', 'PA', 'RI', 'WV'];
+
+// State Manager
+// Remembers the reader's state (no geolocation, they pick it once) and
+// personalizes every page: selects the matching licensed-casinos tab, dims
+// offers that aren't legal there and explains when online casinos aren't.
+class StateManager {
+    constructor(catalog, i18n, consent) {
+        this.catalog = catalog;
+        this.i18n = i18n;
+        this.consent = consent;
+        this.currentState = null;
+        this.stateSelect = document.getElementById('state-select');
+        this.notice = null;
+        this.init();
+    }
+
+    init() {
+        if (this.stateSelect) {
+            this.populateSelect();
+            this.stateSelect.addEventListener('change', (e) => {
+                this.setState(e.target.value);
+            });
+        }
+
+        // Re-apply to offers rendered after page load
+        document.addEventListener('koncept:rendered', (e) => {
+            this.applyToOffers(e.detail.root);
+        });
+
+        document.addEventListener('koncept:language-changed', () => {
+            if (this.stateSelect) {
+                this.populateSelect();
+                this.stateSelect.value = this.currentState || '';
+            }
+            this.applyToOffers(document);
+            this.updateNotice();
+        });
+
+        const savedState = this.consent.getItem('preferred-state');
+        this.setState(savedState && US_STATES[savedState] ? savedState : null, { persist: false });
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`state.${key}`, params, fallback);
+    }
+
+    populateSelect() {
+        const options = Object.entries(US_STATES)
+            .map(([code, name]) => `<option value="${code}">${name}</option>`)
+            .join('');
+        this.stateSelect.innerHTML = `<option value="">${utils.escapeHtml(this.t('select', {}, 'Select your state'))}</option>${options}`;
+    }
+
+    setState(state, { persist = true } = {}) {
+        this.currentState = state || null;
+
+        if (persist) {
+            if (this.currentState) {
+                this.consent.setItem('preferred-state', this.currentState);
+            } else {
+                this.consent.removeItem('preferred-state');
+            }
+        }
+
+        if (this.stateSelect) {
+            this.stateSelect.value = this.currentState || '';
+        }
+
+        this.applyToOffers(document);
+        this.highlightStateCards();
+        this.selectStateTab();
+        this.updateNotice();
+
+        document.dispatchEvent(new CustomEvent('koncept:state-changed', {
+            detail: { state: this.currentState, legal: this.isLegalState() }
+        }));
+
+        if (persist && window.announceToScreenReader) {
+            window.announceToScreenReader(this.currentState
+                ? this.t('showingState', { state: US_STATES[this.currentState] }, 'Showing offers for {state}')
+                : this.t('showingAll', {}, 'Showing offers for all states'));
+        }
+    }
+
+    isLegalState(state = this.currentState) {
+        return Boolean(state) && LEGAL_CASINO_STATES.includes(state);
+    }
+
+    // Offers are anything rendered with data-bonus-id (availability comes from
+    // the bonus catalog) or static markup carrying a data-states list
+    applyToOffers(root) {
+        root.querySelectorAll('[data-bonus-id], [data-states]').forEach(offer => {
+            let states = null;
+            if (offer.dataset.states) {
+                states = offer.dataset.states.split(',').map(state => state.trim());
+            } else if (this.catalog) {
+                const bonus = this.catalog.getBonus(offer.dataset.bonusId);
+                states = bonus ? bonus.states : null;
+            }
+
+            const unavailable = Boolean(this.currentState && states && !states.includes(this.currentState));
+
+            offer.classList.toggle('state-unavailable', unavailable);
+            this.updateOfferBadge(offer, unavailable);
+        });
+    }
+
+    updateOfferBadge(offer, unavailable) {
+        let badge = offer.querySelector(':scope > .state-badge');
+
+        if (!unavailable) {
+            if (badge) {
+                badge.remove();
+            }
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'state-badge';
+            offer.prepend(badge);
+        }
+        badge.textContent = this.t('unavailable', { state: US_STATES[this.currentState] }, 'Not available in {state}');
+    }
+
+    highlightStateCards() {
+        document.querySelectorAll('.state-card[data-state]').forEach(card => {
+            card.classList.toggle('is-selected-state', card.dataset.state === this.currentState);
+        });
+    }
+
+    // A deep link to a specific tab (#wv) wins over the remembered state
+    selectStateTab() {
+        if (!this.currentState) {
+            return;
+        }
+
+        const tab = document.querySelector(`[data-tab="${this.currentState.toLowerCase()}"]`);
+        const tabs = tab ? Tabs.get(tab.closest('[data-tabs]')) : null;
+        if (!tabs || tabs.getTabFromHash()) {
+            return;
+        }
+
+        tabs.select(tab);
+    }
+
+    updateNotice() {
+        if (this.notice) {
+            this.notice.remove();
+            this.notice = null;
+        }
+
+        if (!this.currentState || this.isLegalState()) {
+            return;
+        }
+
+        const e = utils.escapeHtml;
+        const params = {
+            state: US_STATES[this.currentState],
+            states: LEGAL_CASINO_STATES.map(state => US_STATES[state]).join(', ')
+        };
+        this.notice = document.createElement('div');
+        this.notice.className = 'state-notice';
+        this.notice.setAttribute('role', 'status');
+        this.notice.innerHTML = `
+            <div class="container">
+                <p>
+                    <strong>${e(this.t('notLegal', params, "Online casinos aren't legal in {state}."))}</strong>
+                    ${e(this.t('regulatedIn', params, 'Real-money online casino play is currently regulated only in {states}.'))}
+                    ${e(this.t('cannotClaim', params, "The offers on this site can't be claimed from {state}."))}
+                </p>
+                <button type="button" class="state-notice-change">${e(this.t('change', {}, 'Change state'))}</button>
+            </div>
+        `;
+
+        this.notice.querySelector('.state-notice-change').addEventListener('click', () => {
+            if (this.stateSelect) {
+                this.stateSelect.focus();
+            }
+        });
+
+        const navbar = document.querySelector('.navbar');
+        if (navbar) {
+            navbar.after(this.notice);
+        } else {
+            document.body.prepend(this.notice);
+        }
+    }
+}
+
 // Performance Monitor
+// Field metrics for one page view: LCP, CLS, INP and TTFB plus the full
+// page load time. Values keep updating while the page is in use and are
+// beaconed to options.endpoint whenever it is hidden (tab switch, navigation,
+// close), tagged with the page, device class and a page view id so the
+// collector keeps only the latest report per view. Nothing is observed
+// until the reader allows analytics, and withdrawing it stops measuring.
 class PerformanceMonitor {
-    constructor() {
+    constructor(transport, consent, options = SITE_CONFIG.performance) {
+        this.transport = transport;
+        this.consent = consent;
+        this.options = options;
         this.metrics = {};
+        this.observers = [];
+        this.measuring = false;
+        this.viewId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.sampled = Math.random() < options.sampleRate;
+        this.lastSent = '';
         this.init();
     }
 
     init() {
+        if (!this.sampled) {
+            return;
+        }
+
+        if (this.consent.has('analytics')) {
+            this.start();
+        }
+
+        document.addEventListener('koncept:consent-changed', (e) => {
+            if (e.detail.granted.includes('analytics')) {
+                this.start();
+            } else if (e.detail.revoked.includes('analytics')) {
+                this.stop();
+            }
+        });
+
+        // pagehide covers browsers that skip visibilitychange on unload
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.reportMetrics();
+            }
+        });
+        window.addEventListener('pagehide', () => this.reportMetrics());
+    }
+
+    // Buffered observers still see entries from before consent was given
+    start() {
+        if (this.measuring) {
+            return;
+        }
+        this.measuring = true;
+
         // Monitor Core Web Vitals
         this.measureLCP();
-        this.measureFID();
         this.measureCLS();
+        this.measureINP();
+        this.measureTTFB();
         
         // Monitor custom metrics
         this.measurePageLoadTime();
     }
 
-    measureLCP() {
-        if ('PerformanceObserver' in window) {
-            const observer = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                const lastEntry = entries[entries.length - 1];
-                this.metrics.lcp = lastEntry.startTime;
-            });
-            observer.observe({entryTypes: ['largest-contentful-paint']});
+    stop() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        this.metrics = {};
+        this.measuring = false;
+    }
+
+    observe(type, callback, options = {}) {
+        const supported = 'PerformanceObserver' in window && (PerformanceObserver.supportedEntryTypes || []).includes(type);
+        if (!supported) {
+            return null;
         }
+
+        const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push(observer);
+        return observer;
     }
 
-    measureFID() {
-        if ('PerformanceObserver' in window) {
-            const observer = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                entries.forEach((entry) => {
-                    this.metrics.fid = entry.processingStart - entry.startTime;
-                });
+    // LCP stops changing once the user interacts or the page is hidden
+    measureLCP() {
+        const observer = this.observe('largest-contentful-paint', (entries) => {
+            const lastEntry = entries[entries.length - 1];
+            if (lastEntry) {
+                this.metrics.lcp = Math.round(lastEntry.startTime);
+            }
+        });
+
+        if (observer) {
+            const stop = () => observer.disconnect();
+            ['keydown', 'click', 'visibilitychange'].forEach(type => {
+                window.addEventListener(type, stop, { once: true, capture: true });
             });
-            observer.observe({entryTypes: ['first-input']});
         }
     }
 
+    // Largest session window: shifts less than 1s apart, at most 5s long
     measureCLS() {
-        if ('PerformanceObserver' in window) {
-            let clsValue = 0;
-            const observer = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                entries.forEach((entry) => {
-                    if (!entry.hadRecentInput) {
-                        clsValue += entry.value;
-                        this.metrics.cls = clsValue;
-                    }
-                });
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShift = 0;
+
+        this.observe('layout-shift', (entries) => {
+            entries.forEach((entry) => {
+                if (entry.hadRecentInput) {
+                    return;
+                }
+
+                if (sessionValue && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+                    sessionValue += entry.value;
+                } else {
+                    sessionValue = entry.value;
+                    sessionStart = entry.startTime;
+                }
+                lastShift = entry.startTime;
+                this.metrics.cls = Math.max(this.metrics.cls || 0, Number(sessionValue.toFixed(4)));
+            });
+        });
+    }
+
+    // Longest interaction, ignoring one outlier per 50 interactions
+    measureINP() {
+        const interactions = new Map();
+        const record = (entries) => {
+            entries.forEach((entry) => {
+                if (!entry.interactionId) {
+                    return;
+                }
+                interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
             });
-            observer.observe({entryTypes: ['layout-shift']});
+
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            if (durations.length) {
+                this.metrics.inp = Math.round(durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))]);
+            }
+        };
+
+        this.observe('event', record, { durationThreshold: 40 });
+        this.observe('first-input', record);
+    }
+
+    measureTTFB() {
+        const navigationTiming = performance.getEntriesByType('navigation')[0];
+        if (navigationTiming && navigationTiming.responseStart > 0) {
+            this.metrics.ttfb = Math.round(Math.max(navigationTiming.responseStart - (navigationTiming.activationStart || 0), 0));
         }
     }
 
     measurePageLoadTime() {
-        window.addEventListener('load', () => {
+        const measure = () => {
             const navigationTiming = performance.getEntriesByType('navigation')[0];
-            if (navigationTiming) {
-                this.metrics.pageLoadTime = navigationTiming.loadEventEnd - navigationTiming.fetchStart;
-                this.reportMetrics();
+            if (this.measuring && navigationTiming && navigationTiming.loadEventEnd > 0) {
+                this.metrics.pageLoadTime = Math.round(navigationTiming.loadEventEnd - navigationTiming.fetchStart);
             }
-        });
+        };
+
+        if (document.readyState === 'complete') {
+            measure();
+        } else {
+            // loadEventEnd is only set once the load handlers have finished
+            window.addEventListener('load', () => setTimeout(measure, 0));
+        }
     }
 
+    static getDeviceType() {
+        if (window.matchMedia('(max-width: 768px)').matches) {
+            return 'mobile';
+        }
+        return window.matchMedia('(max-width: 1024px)').matches ? 'tablet' : 'desktop';
+    }
+
+    getReport() {
+        const connection = navigator.connection || {};
+        return {
+            id: this.viewId,
+            page: window.location.pathname,
+            device: PerformanceMonitor.getDeviceType(),
+            connection: connection.effectiveType || null,
+            metrics: { ...this.metrics }
+        };
+    }
+
+    // Sends the current values; unchanged reports are not resent
     reportMetrics() {
-        // In production, send metrics to analytics
-        console.log('Performance Metrics:', this.metrics);
+        if (!this.sampled || !this.consent.has('analytics') || !this.options.endpoint || !Object.keys(this.metrics).length) {
+            return;
+        }
+
+        const body = JSON.stringify(this.getReport());
+        if (body === this.lastSent) {
+            return;
+        }
+        this.lastSent = body;
+        this.transport.send(this.options.endpoint, body);
     }
 }
 
 // Accessibility Manager
 class AccessibilityManager {
-    constructor() {
+    constructor(navigation) {
+        this.navigation = navigation;
         this.init();
     }
 
@@ -717,28 +1886,4998 @@ class AccessibilityManager {
     }
 
     handleEscapeKey() {
-        // Close mobile menu
-        const navMenu = document.getElementById('nav-menu');
-        const hamburger = document.getElementById('hamburger');
-        
-        if (navMenu && navMenu.classList.contains('active')) {
-            navMenu.classList.remove('active');
-            hamburger.classList.remove('active');
+        // Close mobile menu and hand focus back to the hamburger
+        if (this.navigation && this.navigation.isMenuOpen()) {
+            this.navigation.closeMobileMenu({ restoreFocus: true });
         }
     }
 }
 
-// Main Application Class
-class KonceptGaming {
-    constructor() {
-        this.domHandler = new DOMHandler();
-        this.animationManager = null;
-        this.navigationManager = null;
-        this.formManager = null;
-        this.languageManager = null;
-        this.performanceMonitor = null;
-        this.accessibilityManager = null;
-        
+// Bonus Catalog
+// Loads every offer from data/bonuses.json and renders it into the layouts
+// that ask for it, so an offer is only ever edited in one place:
+//   [data-bonus-catalog="cards"]  - featured .bonus-card grid (home page)
+//   [data-bonus-catalog="rows"]   - .bonus-row table (no deposit bonuses)
+//   [data-bonus-offer="<id>"]     - .welcome-offer block (casino reviews)
+class BonusCatalog {
+    constructor(i18n, source = 'data/bonuses.json') {
+        this.i18n = i18n;
+        this.source = utils.resolveUrl(source);
+        this.bonuses = [];
+        this.containers = document.querySelectorAll('[data-bonus-catalog]');
+        this.offerSlots = document.querySelectorAll('[data-bonus-offer]');
+        this.ready = this.init();
+    }
+
+    async init() {
+        if (this.containers.length === 0 && this.offerSlots.length === 0) {
+            return this.bonuses;
+        }
+
+        try {
+            const [bonuses] = await Promise.all([this.load(), this.i18n.ready]);
+            this.bonuses = bonuses;
+            this.render();
+
+            // Headlines and labels are locale-specific, re-render on switch
+            document.addEventListener('koncept:language-changed', () => this.render());
+
+            document.dispatchEvent(new CustomEvent('koncept:bonuses-loaded', {
+                detail: { bonuses: this.bonuses }
+            }));
+        } catch (error) {
+            console.error('Bonus catalog failed to load:', error);
+            this.renderError();
+        }
+
+        return this.bonuses;
+    }
+
+    async load() {
+        const response = await fetch(this.source);
+        if (!response.ok) {
+            throw new Error(`Unexpected response ${response.status} for ${this.source}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data.bonuses) ? data.bonuses : [];
+    }
+
+    getBonus(id) {
+        return this.bonuses.find(bonus => bonus.id === id) || null;
+    }
+
+    // Apply the optional data-bonus-featured / data-bonus-limit attributes
+    select(container) {
+        let bonuses = this.bonuses;
+
+        if ('bonusFeatured' in container.dataset) {
+            bonuses = bonuses.filter(bonus => bonus.featured);
+        }
+
+        const limit = parseInt(container.dataset.bonusLimit, 10);
+        if (limit > 0) {
+            bonuses = bonuses.slice(0, limit);
+        }
+
+        return bonuses;
+    }
+
+    render() {
+        const templates = {
+            cards: (bonus, index) => this.renderCard(bonus, index),
+            rows: (bonus, index) => this.renderRow(bonus, index)
+        };
+
+        this.containers.forEach(container => {
+            const template = templates[container.dataset.bonusCatalog];
+            if (!template) {
+                console.warn(`Unknown bonus catalog layout: ${container.dataset.bonusCatalog}`);
+                return;
+            }
+
+            container.innerHTML = this.select(container).map(template).join('');
+            this.notifyRendered(container);
+        });
+
+        this.offerSlots.forEach(slot => {
+            const bonus = this.getBonus(slot.dataset.bonusOffer);
+            if (bonus) {
+                slot.innerHTML = this.renderOffer(bonus);
+                this.notifyRendered(slot);
+            }
+        });
+    }
+
+    // Headline built from the amount so currency formatting follows the
+    // locale, falling back to the catalog's own headline text
+    getHeadline(bonus) {
+        return this.i18n.t(`bonus.headline.${bonus.type}`, {
+            amount: bonus.amount === null ? '' : this.i18n.formatCurrency(bonus.amount, bonus.currency),
+            spins: bonus.spins ? this.i18n.formatNumber(bonus.spins) : ''
+        }, bonus.headline);
+    }
+
+    renderCard(bonus, index) {
+        const e = utils.escapeHtml;
+        const t = (key) => e(this.i18n.t(key));
+        const features = (this.i18n.localize(bonus, 'features') || [])
+            .map(feature => `<li>✓ ${e(feature)}</li>`)
+            .join('');
+
+        return `
+            <div class="bonus-card" data-bonus-id="${e(bonus.id)}" data-aos="fade-up" data-aos-delay="${(index + 1) * 100}">
+                <div class="casino-logo">
+                    <img data-consent="marketing" data-consent-src="${e(bonus.logo)}" alt="${e(bonus.casino)}" />
+                </div>
+                <div class="bonus-info">
+                    <h3>${e(bonus.casino)}</h3>
+                    <div class="bonus-amount">${e(this.getHeadline(bonus))}</div>
+                    ${this.renderCode(bonus, 'bonus-code')}
+                    <ul class="bonus-features">${features}</ul>
+                </div>
+                <a href="${e(bonus.affiliateUrl || '#')}" class="btn btn-claim">${t('bonus.claim')}</a>
+            </div>
+        `;
+    }
+
+    renderRow(bonus, index) {
+        const e = utils.escapeHtml;
+        const t = (key) => e(this.i18n.t(key));
+
+        return `
+            <div class="bonus-row" id="bonus-${e(bonus.id)}" data-bonus-id="${e(bonus.id)}" data-aos="fade-up" data-aos-delay="${(index + 1) * 100}">
+                <div class="casino-info">
+                    <img data-consent="marketing" data-consent-src="${e(bonus.logo)}" alt="${e(bonus.casino)} Logo" class="casino-logo" />
+                    <div>
+                        <h3>${e(bonus.casino)}</h3>
+                        <div class="casino-rating">${utils.renderStars(bonus.rating)} ${e(this.i18n.formatNumber(bonus.rating))}/5</div>
+                    </div>
+                </div>
+                <div class="bonus-details">
+                    <div class="bonus-amount">${e(this.getHeadline(bonus))}</div>
+                    ${this.renderCode(bonus, 'bonus-code')}
+                </div>
+                <div class="wagering-info">
+                    <span class="wagering-requirement">${e(bonus.wagering)}x</span>
+                    <span class="wagering-label">${t(bonus.wagering === 0 ? 'bonus.wagerFree' : 'bonus.playthrough')}</span>
+                </div>
+                <div class="states-info">
+                    <span class="states-list">${e((bonus.states || []).join(', '))}</span>
+                </div>
+                <div class="action-column">
+                    <a href="${e(bonus.affiliateUrl || '#')}" class="btn btn-claim">${t('bonus.claim')}</a>
+                </div>
+            </div>
+        `;
+    }
+
+    renderOffer(bonus) {
+        const e = utils.escapeHtml;
+
+        return `
+            <h4>${e(this.i18n.t('bonus.welcomeOffer'))}</h4>
+            <div class="offer-details">
+                <span class="offer-amount">${e(this.i18n.localize(bonus, 'welcomeOffer') || this.getHeadline(bonus))}</span>
+                ${this.renderCode(bonus, 'offer-code')}
+            </div>
+        `;
+    }
+
+    renderCode(bonus, className) {
+        if (!bonus.code) {
+            return '';
+        }
+        const label = this.i18n.t('bonus.code', { code: bonus.code });
+        return `<div class="${className}" data-bonus-code="${utils.escapeHtml(bonus.code)}">${utils.escapeHtml(label)}</div>`;
+    }
+
+    renderError() {
+        this.containers.forEach(container => {
+            container.innerHTML = `<p class="bonus-catalog-error">${utils.escapeHtml(this.i18n.t('bonus.unavailable'))}</p>`;
+        });
+    }
+
+    notifyRendered(root) {
+        document.dispatchEvent(new CustomEvent('koncept:rendered', {
+            detail: { root, source: 'bonus-catalog' }
+        }));
+    }
+}
+
+// Bonus Filter
+// Search, filter and sort controls for a bonus catalog table. Every control is
+// mirrored in the URL query string (?q=&states=MI,NJ&wagering=1&type=&sort=)
+// so filtered views can be shared and bookmarked. Results follow typing and
+// sliding live; each committed change (a checkbox, a chip, the sort, the
+// search on Enter or blur) adds a history entry, so Back steps through them.
+class BonusFilter {
+    constructor(catalog, i18n) {
+        this.catalog = catalog;
+        this.i18n = i18n;
+        this.form = document.querySelector('[data-bonus-filter]');
+        this.target = this.form ? document.querySelector(this.form.dataset.bonusFilter) : null;
+        this.state = { q: '', states: [], wagering: null, types: [], sort: 'recommended' };
+        this.typeLabels = {
+            'no-deposit': 'No Deposit',
+            'free-play': 'Free Play',
+            'free-spins': 'Free Spins'
+        };
+        this.sorters = {
+            recommended: null,
+            amount: (a, b) => BonusFilter.compareAmount(a, b),
+            wagering: (a, b) => a.wagering - b.wagering,
+            rating: (a, b) => b.rating - a.rating
+        };
+        this.init();
+    }
+
+    async init() {
+        if (!this.form || !this.target) {
+            return;
+        }
+
+        const bonuses = await this.catalog.ready;
+        if (bonuses.length === 0) {
+            return;
+        }
+
+        this.maxWagering = Math.max(...bonuses.map(bonus => bonus.wagering));
+        this.emptyMessage = document.createElement('p');
+        this.emptyMessage.className = 'bonus-filter-empty';
+        this.emptyMessage.hidden = true;
+        this.target.after(this.emptyMessage);
+
+        this.renderControls(bonuses);
+        this.readQuery();
+        this.syncControls();
+        this.apply();
+        this.bindEvents();
+
+        // The catalog re-renders its rows (e.g. on a language switch)
+        document.addEventListener('koncept:rendered', (e) => {
+            if (e.detail.root === this.target) {
+                this.apply();
+            }
+        });
+
+        document.addEventListener('koncept:language-changed', () => {
+            this.renderControls(this.catalog.bonuses);
+            this.syncControls();
+            this.apply();
+        });
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`filter.${key}`, params, fallback);
+    }
+
+    // Cash offers first, largest first; spin-only offers (no amount) follow, most spins first
+    static compareAmount(a, b) {
+        const cash = (bonus) => typeof bonus.amount === 'number';
+        if (cash(a) !== cash(b)) {
+            return cash(a) ? -1 : 1;
+        }
+        return cash(a) ? b.amount - a.amount : (b.spins || 0) - (a.spins || 0);
+    }
+
+    renderControls(bonuses) {
+        const e = utils.escapeHtml;
+        const states = [...new Set(bonuses.flatMap(bonus => bonus.states || []))].sort();
+        const types = [...new Set(bonuses.map(bonus => bonus.type))];
+
+        this.form.innerHTML = `
+            <div class="filter-group filter-search">
+                <label for="bonus-search">${e(this.t('search', {}, 'Search'))}</label>
+                <input type="search" id="bonus-search" name="q" placeholder="${e(this.t('searchPlaceholder', {}, 'Casino or bonus code'))}" autocomplete="off" />
+            </div>
+            <fieldset class="filter-group filter-states">
+                <legend>${e(this.t('states', {}, 'Available in'))}</legend>
+                ${states.map(state => `
+                    <label class="filter-check">
+                        <input type="checkbox" name="states" value="${e(state)}" /> ${e(state)}
+                    </label>
+                `).join('')}
+            </fieldset>
+            <div class="filter-group filter-wagering">
+                <label for="bonus-wagering">${e(this.t('maxWagering', {}, 'Max wagering:'))} <output id="bonus-wagering-value" for="bonus-wagering"></output></label>
+                <input type="range" id="bonus-wagering" name="wagering" min="0" max="${this.maxWagering}" step="1" />
+            </div>
+            <div class="filter-group filter-types" role="group" aria-label="${e(this.t('type', {}, 'Bonus type'))}">
+                ${types.map(type => `
+                    <button type="button" class="filter-chip" data-type="${e(type)}" aria-pressed="false">${e(this.getTypeLabel(type))}</button>
+                `).join('')}
+            </div>
+            <div class="filter-group filter-sort">
+                <label for="bonus-sort">${e(this.t('sort', {}, 'Sort by'))}</label>
+                <select id="bonus-sort" name="sort">
+                    <option value="recommended">${e(this.t('sorts.recommended', {}, 'Recommended'))}</option>
+                    <option value="amount">${e(this.t('sorts.amount', {}, 'Bonus amount'))}</option>
+                    <option value="wagering">${e(this.t('sorts.wagering', {}, 'Lowest wagering'))}</option>
+                    <option value="rating">${e(this.t('sorts.rating', {}, 'Casino rating'))}</option>
+                </select>
+            </div>
+            <div class="filter-summary">
+                <span class="filter-count" aria-live="polite"></span>
+                <button type="reset" class="filter-reset">${e(this.t('clear', {}, 'Clear filters'))}</button>
+            </div>
+        `;
+
+        this.emptyMessage.textContent = this.t('empty', {}, 'No bonuses match your filters. Try widening your search.');
+    }
+
+    getTypeLabel(type) {
+        const fallback = this.typeLabels[type] || type.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+        return this.t(`types.${type}`, {}, fallback);
+    }
+
+    bindEvents() {
+        // Typing and sliding filter live; the URL follows once the change is committed
+        this.form.addEventListener('input', utils.debounce(() => this.update({ commit: false }), 150));
+        this.form.addEventListener('change', () => this.update());
+
+        this.form.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                const pressed = chip.getAttribute('aria-pressed') === 'true';
+                chip.setAttribute('aria-pressed', String(!pressed));
+                this.update();
+            }
+        });
+
+        this.form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.state = { q: '', states: [], wagering: null, types: [], sort: 'recommended' };
+            this.syncControls();
+            this.apply();
+            this.writeQuery();
+        });
+
+        // Filters are submitted live, never by a page load
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        window.addEventListener('popstate', () => {
+            this.readQuery();
+            this.syncControls();
+            this.apply();
+        });
+    }
+
+    update({ commit = true } = {}) {
+        const data = new FormData(this.form);
+        const wagering = parseInt(data.get('wagering'), 10);
+
+        this.state = {
+            q: (data.get('q') || '').trim(),
+            states: data.getAll('states'),
+            wagering: wagering < this.maxWagering ? wagering : null,
+            types: [...this.form.querySelectorAll('.filter-chip[aria-pressed="true"]')].map(chip => chip.dataset.type),
+            sort: data.get('sort') || 'recommended'
+        };
+
+        this.apply();
+        if (commit) {
+            this.writeQuery();
+        }
+    }
+
+    readQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const list = (key) => (params.get(key) || '').split(',').filter(Boolean);
+        const wagering = parseInt(params.get('wagering'), 10);
+
+        this.state = {
+            q: params.get('q') || '',
+            states: list('states').map(state => state.toUpperCase()),
+            wagering: Number.isNaN(wagering) ? null : wagering,
+            types: list('type'),
+            sort: params.get('sort') in this.sorters ? params.get('sort') : 'recommended'
+        };
+    }
+
+    writeQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            q: this.state.q,
+            states: this.state.states.join(','),
+            wagering: this.state.wagering === null ? '' : String(this.state.wagering),
+            type: this.state.types.join(','),
+            sort: this.state.sort === 'recommended' ? '' : this.state.sort
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.pushState(history.state, '', url);
+        }
+    }
+
+    syncControls() {
+        const { q, states, wagering, types, sort } = this.state;
+
+        this.form.querySelector('[name="q"]').value = q;
+        this.form.querySelectorAll('[name="states"]').forEach(input => {
+            input.checked = states.includes(input.value);
+        });
+        this.form.querySelector('[name="wagering"]').value = wagering === null ? this.maxWagering : wagering;
+        this.form.querySelector('[name="sort"]').value = sort;
+        this.form.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(types.includes(chip.dataset.type)));
+        });
+        this.updateWageringOutput();
+    }
+
+    updateWageringOutput() {
+        const output = this.form.querySelector('#bonus-wagering-value');
+        const value = this.form.querySelector('[name="wagering"]').value;
+        output.textContent = parseInt(value, 10) >= this.maxWagering ? this.t('anyWagering', {}, 'Any') : `${value}x`;
+    }
+
+    matches(bonus) {
+        const { q, states, wagering, types } = this.state;
+
+        if (q) {
+            const haystack = [bonus.casino, bonus.headline, bonus.code, this.getTypeLabel(bonus.type)]
+                .join(' ')
+                .toLowerCase();
+            if (!haystack.includes(q.toLowerCase())) {
+                return false;
+            }
+        }
+
+        if (states.length > 0 && !states.some(state => (bonus.states || []).includes(state))) {
+            return false;
+        }
+
+        if (wagering !== null && bonus.wagering > wagering) {
+            return false;
+        }
+
+        if (types.length > 0 && !types.includes(bonus.type)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    apply() {
+        const sorter = this.sorters[this.state.sort];
+        const bonuses = this.catalog.bonuses.slice();
+        if (sorter) {
+            bonuses.sort(sorter);
+        }
+
+        const rows = new Map(
+            [...this.target.querySelectorAll('[data-bonus-id]')].map(row => [row.dataset.bonusId, row])
+        );
+
+        let visible = 0;
+        bonuses.forEach(bonus => {
+            const row = rows.get(bonus.id);
+            if (!row) {
+                return;
+            }
+
+            const match = this.matches(bonus);
+            row.hidden = !match;
+            this.target.appendChild(row);
+            if (match) {
+                visible++;
+            }
+        });
+
+        this.updateWageringOutput();
+        this.emptyMessage.hidden = visible > 0;
+        this.form.querySelector('.filter-count').textContent = this.t('count', {
+            visible,
+            total: this.catalog.bonuses.length
+        }, 'Showing {visible} of {total} bonuses');
+    }
+}
+
+// Wagering Calculator
+// Explains what a playthrough requirement means in real money. A
+// "Wagering calculator" button is added to every catalog offer
+// (.bonus-card / .bonus-row); clicking it opens one shared panel below
+// that offer's list, pre-filled from its catalog entry.
+class WageringCalculator {
+    constructor(catalog, i18n) {
+        this.catalog = catalog;
+        this.i18n = i18n;
+        this.panel = null;
+        this.currentOffer = null;
+        this.currency = null;
+        this.games = { slots: 'Slots', table: 'Table games', live: 'Live casino' };
+        this.defaultContributions = { slots: 100, table: 10, live: 10 };
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('koncept:rendered', (e) => {
+            this.addTriggers(e.detail.root);
+        });
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('.wagering-calculator-trigger');
+            if (trigger) {
+                this.open(trigger.closest('[data-bonus-id]'), trigger);
+            }
+        });
+
+        document.addEventListener('koncept:language-changed', () => {
+            document.querySelectorAll('.wagering-calculator-trigger').forEach(trigger => {
+                trigger.textContent = this.t('open', {}, 'Wagering calculator');
+            });
+            if (this.panel) {
+                this.localizePanel();
+            }
+        });
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`calculator.${key}`, params, fallback);
+    }
+
+    // Pure calculation, kept separate from the DOM
+    static calculate({ bonus, deposit, multiplier, appliesTo, rtp, averageBet, betsPerSession, games }) {
+        const base = appliesTo === 'bonus-deposit' ? bonus + deposit : bonus;
+        const turnover = base * multiplier;
+
+        const totalShare = games.reduce((sum, game) => sum + game.share, 0);
+        const contribution = totalShare > 0
+            ? games.reduce((sum, game) => sum + (game.share / totalShare) * (game.contribution / 100), 0)
+            : 1;
+
+        const totalBets = turnover === 0 ? 0 : (contribution > 0 ? turnover / contribution : Infinity);
+        const expectedLoss = totalBets * (1 - rtp / 100);
+        const perSession = averageBet * betsPerSession;
+
+        return {
+            turnover,
+            contribution,
+            totalBets,
+            expectedLoss,
+            expectedValue: bonus - expectedLoss,
+            sessions: perSession > 0 && Number.isFinite(totalBets) ? Math.ceil(totalBets / perSession) : null
+        };
+    }
+
+    addTriggers(root) {
+        root.querySelectorAll('.bonus-card[data-bonus-id], .bonus-row[data-bonus-id]').forEach(offer => {
+            if (offer.querySelector('.wagering-calculator-trigger')) {
+                return;
+            }
+
+            const trigger = document.createElement('button');
+            trigger.type = 'button';
+            trigger.className = 'wagering-calculator-trigger';
+            trigger.textContent = this.t('open', {}, 'Wagering calculator');
+            trigger.setAttribute('aria-expanded', 'false');
+
+            const slot = offer.querySelector('.wagering-info, .bonus-info');
+            (slot || offer).appendChild(trigger);
+        });
+    }
+
+    open(offer, trigger) {
+        const bonus = offer ? this.catalog.getBonus(offer.dataset.bonusId) : null;
+        if (!bonus) {
+            return;
+        }
+
+        if (this.currentOffer === offer && !this.panel.hidden) {
+            this.close();
+            return;
+        }
+
+        if (!this.panel) {
+            this.panel = this.createPanel();
+        }
+
+        document.querySelectorAll('.wagering-calculator-trigger[aria-expanded="true"]').forEach(button => {
+            button.setAttribute('aria-expanded', 'false');
+        });
+
+        this.currentOffer = offer;
+        this.currentTrigger = trigger;
+        trigger.setAttribute('aria-controls', 'wagering-calculator');
+        trigger.setAttribute('aria-expanded', 'true');
+
+        // Below the whole list, so filtering and re-rendering the offers leave it alone
+        (offer.closest('[data-bonus-catalog]') || offer).after(this.panel);
+        this.prefill(bonus);
+        this.panel.hidden = false;
+        this.update();
+        this.panel.querySelector('input').focus();
+    }
+
+    close() {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.hidden = true;
+        if (this.currentTrigger) {
+            this.currentTrigger.setAttribute('aria-expanded', 'false');
+            this.currentTrigger.focus();
+        }
+        this.currentOffer = null;
+    }
+
+    createPanel() {
+        const panel = document.createElement('section');
+        panel.className = 'wagering-calculator';
+        panel.id = 'wagering-calculator';
+        panel.setAttribute('aria-labelledby', 'wagering-calculator-title');
+        panel.hidden = true;
+        panel.innerHTML = this.renderPanel();
+
+        // Delegated, so the panel can be re-rendered in another language
+        panel.addEventListener('input', () => this.update());
+        panel.addEventListener('submit', (e) => e.preventDefault());
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('.calculator-close')) {
+                this.close();
+            }
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        return panel;
+    }
+
+    renderPanel() {
+        const e = utils.escapeHtml;
+        const t = (key, fallback, params = {}) => e(this.t(key, params, fallback));
+
+        return `
+            <div class="calculator-header">
+                <h3 id="wagering-calculator-title">${t('title', 'Wagering Calculator')} <span class="calculator-offer"></span></h3>
+                <button type="button" class="calculator-close" aria-label="${t('close', 'Close wagering calculator')}">×</button>
+            </div>
+            <form class="calculator-form" novalidate>
+                <div class="calculator-fields">
+                    <label>${t('fields.bonus', 'Bonus amount ($)')}<input type="number" name="bonus" min="0" step="1" /></label>
+                    <label>${t('fields.deposit', 'Your deposit ($)')}<input type="number" name="deposit" min="0" step="1" /></label>
+                    <label>${t('fields.multiplier', 'Wagering requirement (x)')}<input type="number" name="multiplier" min="0" step="1" /></label>
+                    <fieldset class="calculator-applies">
+                        <legend>${t('fields.appliesTo', 'Wagering applies to')}</legend>
+                        <label><input type="radio" name="appliesTo" value="bonus" /> ${t('fields.bonusOnly', 'Bonus only')}</label>
+                        <label><input type="radio" name="appliesTo" value="bonus-deposit" /> ${t('fields.bonusDeposit', 'Bonus + deposit')}</label>
+                    </fieldset>
+                    <label>${t('fields.rtp', 'Game RTP (%)')}<input type="number" name="rtp" min="0" max="100" step="0.1" value="96" /></label>
+                    <label>${t('fields.averageBet', 'Average bet ($)')}<input type="number" name="averageBet" min="0" step="0.1" value="1" /></label>
+                    <label>${t('fields.betsPerSession', 'Bets per session')}<input type="number" name="betsPerSession" min="1" step="1" value="200" /></label>
+                </div>
+                <fieldset class="calculator-games">
+                    <legend>${t('games.legend', 'Where you play and how much each game counts')}</legend>
+                    <div class="calculator-game-header" aria-hidden="true">
+                        <span>${t('games.game', 'Game')}</span><span>${t('games.share', 'Share of play (%)')}</span><span>${t('games.contribution', 'Contribution (%)')}</span>
+                    </div>
+                    ${Object.entries(this.games).map(([game, fallback]) => {
+                        const label = this.t(`games.${game}`, {}, fallback);
+                        return `
+                            <div class="calculator-game">
+                                <span>${e(label)}</span>
+                                <input type="number" name="${game}-share" min="0" max="100" step="5" aria-label="${t('games.shareLabel', '{game} share of play (%)', { game: label })}" />
+                                <input type="number" name="${game}-contribution" min="0" max="100" step="5" aria-label="${t('games.contributionLabel', '{game} contribution (%)', { game: label })}" />
+                            </div>
+                        `;
+                    }).join('')}
+                </fieldset>
+            </form>
+            <dl class="calculator-results" aria-live="polite">
+                <div><dt>${t('results.turnover', 'Required turnover')}</dt><dd data-result="turnover"></dd></div>
+                <div><dt>${t('results.contribution', 'Effective contribution')}</dt><dd data-result="contribution"></dd></div>
+                <div><dt>${t('results.totalBets', 'Total you need to bet')}</dt><dd data-result="totalBets"></dd></div>
+                <div><dt>${t('results.expectedLoss', 'Expected loss while wagering')}</dt><dd data-result="expectedLoss"></dd></div>
+                <div><dt>${t('results.expectedValue', 'Expected value of the bonus')}</dt><dd data-result="expectedValue"></dd></div>
+                <div><dt>${t('results.sessions', 'Estimated sessions')}</dt><dd data-result="sessions"></dd></div>
+            </dl>
+            <p class="calculator-note">${t('note', 'Estimates assume average returns. Real results vary widely from session to session.')}</p>
+        `;
+    }
+
+    // Re-renders the panel in the new language, keeping what the reader entered
+    localizePanel() {
+        const values = [...new FormData(this.panel.querySelector('form'))];
+        const offer = this.panel.querySelector('.calculator-offer').textContent;
+
+        this.panel.innerHTML = this.renderPanel();
+        const form = this.panel.querySelector('form');
+        values.forEach(([name, value]) => {
+            form.elements[name].value = value;
+        });
+        this.panel.querySelector('.calculator-offer').textContent = offer;
+        this.update();
+    }
+
+    prefill(bonus) {
+        const form = this.panel.querySelector('form');
+        const contributions = Object.assign({}, this.defaultContributions, bonus.contributions);
+
+        this.panel.querySelector('.calculator-offer').textContent = `– ${bonus.casino}`;
+        this.currency = bonus.currency || null;
+        // Spin-only offers have no cash value to start from
+        form.elements.bonus.value = bonus.amount ?? '';
+        form.elements.deposit.value = bonus.deposit || 0;
+        form.elements.multiplier.value = bonus.wagering;
+        form.elements.appliesTo.value = bonus.wageringAppliesTo || 'bonus';
+
+        Object.entries(contributions).forEach(([game, contribution]) => {
+            if (form.elements[`${game}-share`]) {
+                form.elements[`${game}-share`].value = game === 'slots' ? 100 : 0;
+                form.elements[`${game}-contribution`].value = contribution;
+            }
+        });
+    }
+
+    readInputs() {
+        const form = this.panel.querySelector('form');
+        const number = (name) => Math.max(0, parseFloat(form.elements[name].value) || 0);
+
+        return {
+            bonus: number('bonus'),
+            deposit: number('deposit'),
+            multiplier: number('multiplier'),
+            appliesTo: form.elements.appliesTo.value,
+            rtp: Math.min(100, number('rtp')),
+            averageBet: number('averageBet'),
+            betsPerSession: number('betsPerSession'),
+            games: Object.keys(this.games).map(game => ({
+                game,
+                share: number(`${game}-share`),
+                contribution: Math.min(100, number(`${game}-contribution`))
+            }))
+        };
+    }
+
+    update() {
+        const result = WageringCalculator.calculate(this.readInputs());
+        // In the offer's currency, or the locale's when the offer names none
+        const money = (value) => (Number.isFinite(value) ? this.i18n.formatCurrency(Math.round(value * 100) / 100, this.currency || undefined) : '—');
+        const values = {
+            turnover: result.turnover === 0 ? this.t('results.none', {}, 'None – winnings are withdrawable') : money(result.turnover),
+            contribution: this.i18n.formatNumber(result.contribution, { style: 'percent', maximumFractionDigits: 1 }),
+            totalBets: Number.isFinite(result.totalBets) ? money(result.totalBets) : this.t('results.impossible', {}, 'Not possible with these games'),
+            expectedLoss: money(result.expectedLoss),
+            expectedValue: money(result.expectedValue),
+            sessions: result.sessions === null ? '—' : this.i18n.formatNumber(result.sessions)
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            this.panel.querySelector(`[data-result="${key}"]`).textContent = value;
+        });
+        this.panel.querySelector('[data-result="expectedValue"]').classList.toggle('negative', result.expectedValue < 0);
+    }
+}
+
+// Review Scoring
+// Overall casino ratings are computed, never typed: each review's category
+// sub-scores (data/reviews.json) are weighted by the methodology published
+// in the page's .criteria-item[data-criterion] blocks ("Weight: 25%").
+// A category a review has no score for is left out of its average rather
+// than filled in. Readers can re-weight the categories to get their own
+// ranking.
+class ReviewScoring {
+    constructor(i18n, consent, source = 'data/reviews.json') {
+        this.i18n = i18n;
+        this.consent = consent;
+        this.source = utils.resolveUrl(source);
+        this.cards = document.querySelectorAll('.review-card[data-review-id]');
+        this.grid = document.querySelector('.reviews-grid');
+        this.form = document.querySelector('[data-review-weights]');
+        this.reviews = [];
+        this.criteria = [];
+        this.weights = {};
+        this.ready = this.init();
+    }
+
+    async init() {
+        if (this.cards.length === 0) {
+            return;
+        }
+
+        this.criteria = this.readPublishedCriteria();
+        if (this.criteria.length === 0) {
+            console.warn('Review scoring: no published criteria weights found');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`Unexpected response ${response.status} for ${this.source}`);
+            }
+            const data = await response.json();
+            this.reviews = Array.isArray(data.reviews) ? data.reviews : [];
+        } catch (error) {
+            console.error('Review scores failed to load:', error);
+            return;
+        }
+
+        this.weights = this.loadSavedWeights() || this.getPublishedWeights();
+        this.renderCards();
+        this.renderControls();
+        this.bindControls();
+        this.rank();
+
+        document.addEventListener('koncept:language-changed', () => {
+            this.localizeCriteria();
+            this.renderCards();
+            this.renderControls();
+            this.rank();
+        });
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`reviews.${key}`, params, fallback);
+    }
+
+    // [{ key: 'games', heading: 'Game Selection', label: 'Games', weight: 25 }, ...]
+    readPublishedCriteria() {
+        const criteria = [...document.querySelectorAll('.criteria-item[data-criterion]')].map(item => {
+            const weightText = item.querySelector('.criteria-weight')?.textContent || '';
+            const match = weightText.match(/(\d+(?:\.\d+)?)\s*%/);
+            return {
+                key: item.dataset.criterion,
+                heading: item.querySelector('h3')?.textContent.trim() || item.dataset.criterion,
+                weight: match ? parseFloat(match[1]) : 0
+            };
+        }).filter(criterion => criterion.weight > 0);
+
+        this.localizeCriteria(criteria);
+        return criteria;
+    }
+
+    // Short category names in the current language, falling back to the
+    // methodology heading for categories the bundles don't name
+    localizeCriteria(criteria = this.criteria) {
+        criteria.forEach(criterion => {
+            criterion.label = this.t(`criteria.${criterion.key}`, {}, criterion.heading);
+        });
+    }
+
+    getPublishedWeights() {
+        return Object.fromEntries(this.criteria.map(criterion => [criterion.key, criterion.weight]));
+    }
+
+    // Weighted mean over the categories the review has a score for
+    static score(scores, weights) {
+        let total = 0;
+        let weightSum = 0;
+
+        Object.entries(weights).forEach(([key, weight]) => {
+            if (typeof scores[key] === 'number' && weight > 0) {
+                total += scores[key] * weight;
+                weightSum += weight;
+            }
+        });
+
+        return weightSum > 0 ? Math.round((total / weightSum) * 10) / 10 : 0;
+    }
+
+    getReview(id) {
+        return this.reviews.find(review => review.id === id) || null;
+    }
+
+    isPersonalized() {
+        const published = this.getPublishedWeights();
+        return this.criteria.some(({ key }) => this.weights[key] !== published[key]);
+    }
+
+    renderCards() {
+        const published = this.getPublishedWeights();
+
+        this.cards.forEach(card => {
+            const review = this.getReview(card.dataset.reviewId);
+            if (!review) {
+                return;
+            }
+
+            const overall = ReviewScoring.score(review.scores, published);
+            const stars = card.querySelector('.overall-rating .stars');
+            const score = card.querySelector('.overall-rating .rating-score');
+            if (stars) {
+                stars.textContent = utils.renderStars(overall);
+                stars.setAttribute('aria-hidden', 'true');
+            }
+            if (score) {
+                score.textContent = `${this.i18n.formatNumber(overall, { minimumFractionDigits: 1 })}/5`;
+            }
+
+            const breakdown = card.querySelector('.rating-breakdown');
+            if (breakdown) {
+                breakdown.innerHTML = this.criteria
+                    .filter(({ key }) => typeof review.scores[key] === 'number')
+                    .map(criterion => this.renderBar(criterion, review.scores[criterion.key]))
+                    .join('');
+            }
+        });
+    }
+
+    renderBar(criterion, value) {
+        const e = utils.escapeHtml;
+        const formatted = this.i18n.formatNumber(value, { minimumFractionDigits: 1 });
+        const description = this.t('barLabel', { label: criterion.label, score: formatted }, '{label}: {score} out of 5');
+
+        return `
+            <div class="rating-item">
+                <span class="rating-category">${e(criterion.label)}</span>
+                <div class="rating-bars">
+                    <div class="rating-bar" role="img" aria-label="${e(description)}">
+                        <div class="rating-fill" style="width: ${(value / 5) * 100}%"></div>
+                    </div>
+                    <span class="rating-value">${e(formatted)}/5</span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderControls() {
+        if (!this.form) {
+            return;
+        }
+
+        const e = utils.escapeHtml;
+        this.form.innerHTML = `
+            <p class="review-weights-intro">${e(this.t('weightsIntro', {}, 'Drag the sliders to weight what matters most to you. Casinos are re-ranked by your weighting.'))}</p>
+            ${this.criteria.map(({ key, label }) => `
+                <div class="weight-control">
+                    <label for="weight-${e(key)}">${e(label)}</label>
+                    <input type="range" id="weight-${e(key)}" name="${e(key)}" min="0" max="50" step="5" value="${this.weights[key] ?? 0}" />
+                    <output for="weight-${e(key)}" data-weight-output="${e(key)}"></output>
+                </div>
+            `).join('')}
+            <div class="weight-actions">
+                <button type="reset" class="btn btn-outline">${e(this.t('weightsReset', {}, 'Use our weighting'))}</button>
+            </div>
+        `;
+    }
+
+    bindControls() {
+        if (!this.form) {
+            return;
+        }
+
+        this.form.addEventListener('input', () => {
+            this.criteria.forEach(({ key }) => {
+                this.weights[key] = parseInt(this.form.elements[key].value, 10) || 0;
+            });
+            this.saveWeights();
+            this.rank();
+        });
+
+        this.form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.weights = this.getPublishedWeights();
+            this.criteria.forEach(({ key }) => {
+                this.form.elements[key].value = this.weights[key];
+            });
+            this.saveWeights();
+            this.rank();
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    // Show each weight as its share of the total, so sliders read as percentages
+    updateWeightOutputs() {
+        if (!this.form) {
+            return;
+        }
+
+        const total = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0);
+        this.criteria.forEach(({ key }) => {
+            const output = this.form.querySelector(`[data-weight-output="${key}"]`);
+            const share = total > 0 ? this.weights[key] / total : 0;
+            output.textContent = this.i18n.formatNumber(share, { style: 'percent', maximumFractionDigits: 0 });
+        });
+    }
+
+    rank() {
+        const personalized = this.isPersonalized();
+        const ranked = [...this.cards]
+            .map(card => {
+                const review = this.getReview(card.dataset.reviewId);
+                return { card, score: review ? ReviewScoring.score(review.scores, this.weights) : 0 };
+            })
+            .sort((a, b) => b.score - a.score);
+
+        ranked.forEach(({ card, score }, index) => {
+            let badge = card.querySelector('.personal-score');
+            if (personalized) {
+                if (!badge) {
+                    badge = document.createElement('div');
+                    badge.className = 'personal-score';
+                    card.querySelector('.casino-basic-info')?.appendChild(badge);
+                }
+                badge.textContent = this.t('personalRank', {
+                    rank: index + 1,
+                    score: this.i18n.formatNumber(score, { minimumFractionDigits: 1 })
+                }, '#{rank} for you · {score}/5');
+            } else if (badge) {
+                badge.remove();
+            }
+
+            if (this.grid) {
+                this.grid.appendChild(card);
+            }
+        });
+
+        this.updateWeightOutputs();
+    }
+
+    loadSavedWeights() {
+        try {
+            const saved = JSON.parse(this.consent.getItem('review-weights'));
+            if (saved && this.criteria.every(({ key }) => typeof saved[key] === 'number')) {
+                return saved;
+            }
+        } catch (error) {
+            // Ignore unreadable saved weights and fall back to ours
+        }
+        return null;
+    }
+
+    saveWeights() {
+        if (this.isPersonalized()) {
+            this.consent.setItem('review-weights', JSON.stringify(this.weights));
+        } else {
+            this.consent.removeItem('review-weights');
+        }
+    }
+}
+
+// Casino Comparison
+// Any card carrying data-casino-id gets a "Compare" checkbox. Up to
+// COMPARE_LIMIT selections are kept in localStorage so the tray follows
+// the reader across pages; the table joins the casino profiles
+// (data/casinos.json), the bonus catalog and the review sub-scores. Offer
+// rows are left out, behind the age gate's notice, until AgeGate allows
+// offers for the reader. Rows nobody has data for (a category none of the
+// casinos was scored on) are skipped.
+const COMPARE_LIMIT = 4;
+
+class ComparisonManager {
+    constructor(catalog, ageGate, i18n, consent, sources = { casinos: 'data/casinos.json', reviews: 'data/reviews.json' }) {
+        this.catalog = catalog;
+        this.ageGate = ageGate;
+        this.i18n = i18n;
+        this.consent = consent;
+        this.sources = sources;
+        this.storageKey = 'compare-casinos';
+        this.selected = this.loadSelection();
+        this.casinos = [];
+        this.reviews = [];
+        this.bonuses = [];
+        this.tray = null;
+        this.dialog = null;
+        this.lastFocus = null;
+        // English fallbacks for the reviews.criteria.* names
+        this.ratingLabels = {
+            games: 'Games',
+            bonuses: 'Bonuses',
+            banking: 'Payouts',
+            security: 'Security',
+            mobile: 'Mobile',
+            support: 'Support'
+        };
+        this.init();
+    }
+
+    async init() {
+        const cards = document.querySelectorAll('.review-card[data-casino-id], .casino-item[data-casino-id]');
+        if (cards.length === 0 && this.selected.length === 0) {
+            return;
+        }
+
+        try {
+            // Pages without offers never load the catalog, so fetch it here
+            await this.catalog.ready;
+            const [casinos, reviews, bonuses] = await Promise.all([
+                this.fetchJson(this.sources.casinos),
+                this.fetchJson(this.sources.reviews),
+                this.catalog.bonuses.length ? this.catalog.bonuses : this.catalog.load()
+            ]);
+            this.casinos = casinos.casinos || [];
+            this.reviews = reviews.reviews || [];
+            this.bonuses = bonuses;
+        } catch (error) {
+            console.error('Casino comparison data failed to load:', error);
+            return;
+        }
+
+        this.selected = this.selected.filter(id => this.getCasino(id));
+        cards.forEach(card => this.addToggle(card));
+
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.compare-toggle input')) {
+                this.toggle(e.target.value, e.target.checked);
+            }
+        });
+
+        // Keep several open tabs in step
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.selected = this.loadSelection();
+                this.update();
+            }
+        });
+
+        document.addEventListener('koncept:age-gate-changed', () => this.update());
+
+        document.addEventListener('koncept:language-changed', () => {
+            document.querySelectorAll('.compare-toggle-label').forEach(label => {
+                label.textContent = this.t('toggle', {}, 'Compare');
+            });
+            this.update();
+        });
+
+        this.update();
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`compare.${key}`, params, fallback);
+    }
+
+    async fetchJson(path) {
+        const url = utils.resolveUrl(path);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Unexpected response ${response.status} for ${url}`);
+        }
+        return response.json();
+    }
+
+    getCasino(id) {
+        return this.casinos.find(casino => casino.id === id) || null;
+    }
+
+    getReview(id) {
+        return this.reviews.find(review => review.id === id) || null;
+    }
+
+    getBonus(id) {
+        return this.bonuses.find(bonus => bonus.id === id) || null;
+    }
+
+    loadSelection() {
+        try {
+            const saved = JSON.parse(this.consent.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved.slice(0, COMPARE_LIMIT) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveSelection() {
+        if (this.selected.length > 0) {
+            this.consent.setItem(this.storageKey, JSON.stringify(this.selected));
+        } else {
+            this.consent.removeItem(this.storageKey);
+        }
+    }
+
+    addToggle(card) {
+        const id = card.dataset.casinoId;
+        if (!this.getCasino(id) || card.querySelector('.compare-toggle')) {
+            return;
+        }
+
+        const label = document.createElement('label');
+        label.className = 'compare-toggle';
+        label.innerHTML = `<input type="checkbox" value="${utils.escapeHtml(id)}" /> <span class="compare-toggle-label">${utils.escapeHtml(this.t('toggle', {}, 'Compare'))}</span>`;
+
+        const slot = card.querySelector('.review-actions, .casino-details');
+        (slot || card).appendChild(label);
+    }
+
+    toggle(id, checked) {
+        const casino = this.getCasino(id);
+        if (!casino) {
+            return;
+        }
+
+        if (checked && !this.selected.includes(id)) {
+            if (this.selected.length >= COMPARE_LIMIT) {
+                this.update();
+                this.announce(this.t('limit', { limit: COMPARE_LIMIT }, 'You can compare up to {limit} casinos'));
+                return;
+            }
+            this.selected.push(id);
+            this.announce(this.t('added', { casino: casino.name }, '{casino} added to comparison'));
+        } else if (!checked) {
+            this.selected = this.selected.filter(selectedId => selectedId !== id);
+            this.announce(this.t('removed', { casino: casino.name }, '{casino} removed from comparison'));
+        }
+
+        this.saveSelection();
+        this.update();
+    }
+
+    clear() {
+        this.selected = [];
+        this.saveSelection();
+        this.closeTable();
+        this.update();
+        this.announce(this.t('cleared', {}, 'Comparison cleared'));
+    }
+
+    announce(message) {
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(message);
+        }
+    }
+
+    update() {
+        const full = this.selected.length >= COMPARE_LIMIT;
+
+        document.querySelectorAll('.compare-toggle input').forEach(input => {
+            input.checked = this.selected.includes(input.value);
+            input.disabled = full && !input.checked;
+            input.closest('.compare-toggle').title = input.disabled
+                ? this.t('limit', { limit: COMPARE_LIMIT }, 'You can compare up to {limit} casinos')
+                : '';
+        });
+
+        this.renderTray();
+
+        if (this.dialog && !this.dialog.hidden) {
+            if (this.selected.length < 2) {
+                this.closeTable();
+            } else {
+                this.renderTable();
+            }
+        }
+    }
+
+    renderTray() {
+        document.body.classList.toggle('has-compare-tray', this.selected.length > 0);
+
+        if (this.selected.length === 0) {
+            if (this.tray) {
+                this.tray.hidden = true;
+            }
+            return;
+        }
+
+        if (!this.tray) {
+            this.tray = document.createElement('aside');
+            this.tray.className = 'compare-tray';
+            document.body.appendChild(this.tray);
+
+            this.tray.addEventListener('click', (e) => {
+                const remove = e.target.closest('[data-compare-remove]');
+                if (remove) {
+                    this.toggle(remove.dataset.compareRemove, false);
+                } else if (e.target.closest('[data-compare-open]')) {
+                    this.openTable(e.target.closest('button'));
+                } else if (e.target.closest('[data-compare-clear]')) {
+                    this.clear();
+                }
+            });
+        }
+
+        const e = utils.escapeHtml;
+        const items = this.selected.map(id => {
+            const casino = this.getCasino(id);
+            return `
+                <li>
+                    ${e(casino.name)}
+                    <button type="button" class="compare-remove" data-compare-remove="${e(id)}" aria-label="${e(this.t('remove', { casino: casino.name }, 'Remove {casino} from comparison'))}">×</button>
+                </li>
+            `;
+        }).join('');
+
+        this.tray.hidden = false;
+        this.tray.setAttribute('aria-label', this.t('trayLabel', {}, 'Casino comparison'));
+        this.tray.innerHTML = `
+            <div class="container">
+                <span class="compare-count">${e(this.t('selected', { count: this.selected.length, limit: COMPARE_LIMIT }, '{count}/{limit} selected'))}</span>
+                <ul class="compare-list">${items}</ul>
+                <div class="compare-actions">
+                    <button type="button" class="btn btn-primary" data-compare-open ${this.selected.length < 2 ? 'disabled' : ''}>${e(this.t('open', {}, 'Compare'))}</button>
+                    <button type="button" class="btn btn-outline" data-compare-clear>${e(this.t('clear', {}, 'Clear'))}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    openTable(trigger) {
+        if (this.selected.length < 2) {
+            return;
+        }
+
+        if (!this.dialog) {
+            this.dialog = document.createElement('div');
+            this.dialog.className = 'comparison-dialog';
+            this.dialog.setAttribute('role', 'dialog');
+            this.dialog.setAttribute('aria-modal', 'true');
+            this.dialog.setAttribute('aria-labelledby', 'comparison-title');
+            this.dialog.hidden = true;
+            document.body.appendChild(this.dialog);
+
+            this.dialog.addEventListener('click', (e) => {
+                if (e.target === this.dialog || e.target.closest('.comparison-close')) {
+                    this.closeTable();
+                } else if (e.target.closest('[data-age-gate-open]')) {
+                    this.closeTable();
+                    this.ageGate.open();
+                }
+            });
+
+            this.dialog.addEventListener('change', (e) => {
+                if (e.target.matches('[name="differences-only"]')) {
+                    this.dialog.classList.toggle('differences-only', e.target.checked);
+                }
+            });
+
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !this.dialog.hidden) {
+                    this.closeTable();
+                }
+            });
+
+            this.dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab') {
+                    this.trapFocus(e);
+                }
+            });
+        }
+
+        this.lastFocus = trigger || document.activeElement;
+        this.renderTable();
+        this.dialog.hidden = false;
+        document.body.classList.add('comparison-open');
+        this.dialog.querySelector('.comparison-close').focus();
+    }
+
+    closeTable() {
+        if (!this.dialog || this.dialog.hidden) {
+            return;
+        }
+
+        this.dialog.hidden = true;
+        document.body.classList.remove('comparison-open');
+        // The tray re-renders, so fall back to its compare button
+        const focusTarget = this.lastFocus && this.lastFocus.isConnected
+            ? this.lastFocus
+            : this.tray && this.tray.querySelector('[data-compare-open]');
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+    }
+
+    // The table is aria-modal, so Tab cycles through the dialog only
+    trapFocus(e) {
+        const focusables = [...this.dialog.querySelectorAll('a[href], button:not([disabled]), input, select')]
+            .filter(element => !element.closest('[hidden]'));
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Each row: label, one value per casino (null when unknown), and
+    // optionally a numeric key with the direction that counts as best so
+    // the winner can be marked
+    getRows(casinos) {
+        const t = (key) => this.i18n.t(key);
+        const number = (value) => this.i18n.formatNumber(value, { minimumFractionDigits: 1 });
+
+        const rows = [
+            {
+                label: this.t('rows.licenses', {}, 'Licensed in'),
+                values: casinos.map(({ casino }) => casino.licenses
+                    .map(license => license.number ? `${license.state} (#${license.number})` : license.state)
+                    .join(', '))
+            }
+        ];
+
+        if (this.ageGate.isAllowed()) {
+            rows.push(
+                {
+                    label: t('bonus.welcomeOffer'),
+                    values: casinos.map(({ bonus }) => bonus ? this.i18n.localize(bonus, 'welcomeOffer') : '—')
+                },
+                {
+                    label: this.t('rows.wagering', {}, 'Wagering'),
+                    values: casinos.map(({ bonus }) => {
+                        if (!bonus) {
+                            return '—';
+                        }
+                        return bonus.wagering === 0 ? t('bonus.wagerFree') : `${bonus.wagering}x`;
+                    }),
+                    numbers: casinos.map(({ bonus }) => bonus ? bonus.wagering : null),
+                    best: 'min'
+                }
+            );
+        }
+
+        Object.entries(this.ratingLabels).forEach(([key, fallback]) => {
+            const scores = casinos.map(({ review }) => review && typeof review.scores[key] === 'number' ? review.scores[key] : null);
+            rows.push({
+                label: this.t('rows.rating', { label: this.i18n.t(`reviews.criteria.${key}`, {}, fallback) }, '{label} rating'),
+                values: scores.map(score => score === null ? null : `${number(score)}/5`),
+                missing: this.t('notReviewed', {}, 'Not reviewed'),
+                numbers: scores,
+                best: 'max'
+            });
+        });
+
+        return rows.filter(row => row.values.some(value => value !== null));
+    }
+
+    renderTable() {
+        const e = utils.escapeHtml;
+        const casinos = this.selected.map(id => ({
+            casino: this.getCasino(id),
+            bonus: this.getBonus(id),
+            review: this.getReview(id)
+        }));
+
+        const body = this.getRows(casinos).map(row => {
+            const different = new Set(row.values).size > 1;
+            let bestValue = null;
+            if (different && row.numbers) {
+                const known = row.numbers.filter(value => value !== null);
+                if (known.length > 1) {
+                    bestValue = row.best === 'min' ? Math.min(...known) : Math.max(...known);
+                }
+            }
+
+            const cells = row.values.map((value, index) => {
+                const best = bestValue !== null && row.numbers[index] === bestValue;
+                const text = value === null ? row.missing || '—' : value;
+                return `<td${best ? ' class="is-best"' : ''}>${e(text)}${best ? ` <span class="sr-only">${e(this.t('best', {}, '(best)'))}</span>` : ''}</td>`;
+            }).join('');
+
+            return `<tr class="${different ? 'is-different' : 'is-same'}"><th scope="row">${e(row.label)}</th>${cells}</tr>`;
+        }).join('');
+
+        this.dialog.innerHTML = `
+            <div class="comparison-panel">
+                <div class="calculator-header">
+                    <h3 id="comparison-title">${e(this.t('title', {}, 'Compare Casinos'))}</h3>
+                    <button type="button" class="calculator-close comparison-close" aria-label="${e(this.t('close', {}, 'Close comparison'))}">×</button>
+                </div>
+                <label class="comparison-filter">
+                    <input type="checkbox" name="differences-only" ${this.dialog.classList.contains('differences-only') ? 'checked' : ''} />
+                    ${e(this.t('differencesOnly', {}, 'Only show differences'))}
+                </label>
+                ${this.ageGate.isAllowed() ? '' : `<div class="age-gate-notice">${this.ageGate.renderNotice(this.ageGate.getStatus())}</div>`}
+                <div class="comparison-table-container">
+                    <table class="comparison-table casino-comparison">
+                        <thead>
+                            <tr>
+                                <th scope="col"><span class="sr-only">${e(this.t('feature', {}, 'Feature'))}</span></th>
+                                ${casinos.map(({ casino }) => `<th scope="col">${e(casino.name)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Self-Assessment
+// Renders a questionnaire from data/assessments/<id>.json (answer options
+// with points, questions, and score bands with help resources), scores it
+// only when every question is answered, and can keep a history of results
+// in this browser so readers can follow their trend. Bands may carry an
+// i18n block with translated titles, messages and resource labels.
+class SelfAssessment {
+    constructor(formManager, i18n, consent) {
+        this.formManager = formManager;
+        this.i18n = i18n;
+        this.consent = consent;
+        this.form = document.getElementById('self-assessment-form');
+        this.results = document.getElementById('quiz-results');
+        this.history = document.querySelector('[data-assessment-history]');
+        this.storageKey = 'assessment-history';
+        this.historyLimit = 50;
+        this.definitions = new Map();
+        this.definition = null;
+        this.result = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.form) {
+            return;
+        }
+
+        this.formManager.registerHandler('self-assessment', (form, formData) => this.handleSubmit(formData));
+
+        const select = this.form.elements.assessment;
+        select.addEventListener('change', () => this.load(select.value));
+        this.load(select.value);
+
+        if (this.history) {
+            this.history.querySelector('[data-history-clear]').addEventListener('click', () => this.clearHistory());
+        }
+
+        document.addEventListener('koncept:language-changed', () => {
+            if (!this.definition) {
+                return;
+            }
+            this.renderQuestions();
+            if (this.result) {
+                this.renderResult(this.result);
+            }
+            this.renderHistory();
+        });
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`assessment.${key}`, params, fallback);
+    }
+
+    async load(id) {
+        try {
+            if (!this.definitions.has(id)) {
+                const url = utils.resolveUrl(`data/assessments/${id}.json`);
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Unexpected response ${response.status} for ${url}`);
+                }
+                this.definitions.set(id, await response.json());
+            }
+        } catch (error) {
+            console.error('Self-assessment failed to load:', error);
+            this.formManager.showMessage(this.form, this.t('loadFailed', {}, 'The questionnaire could not be loaded. Please try again later.'), 'error', { duration: 0 });
+            return;
+        }
+
+        this.definition = this.definitions.get(id);
+        this.result = null;
+        this.results.style.display = 'none';
+        this.renderQuestions();
+        this.renderHistory();
+    }
+
+    getOptions(question) {
+        return question.options || this.definition.options;
+    }
+
+    // Answers already given are kept when the questions are re-rendered in another language
+    renderQuestions() {
+        const e = utils.escapeHtml;
+        const { intro, source, questions } = this.definition;
+        const container = this.form.querySelector('[data-assessment-questions]');
+        const answered = [...container.querySelectorAll('input:checked')].map(input => [input.name, input.value]);
+
+        this.form.querySelector('[data-assessment-intro]').textContent = intro || '';
+        const sourceEl = this.form.querySelector('[data-assessment-source]');
+        sourceEl.textContent = source ? this.t('source', { source }, 'Source: {source}') : '';
+        sourceEl.hidden = !source;
+
+        container.innerHTML = questions.map((question, index) => `
+            <div class="question" role="radiogroup" aria-labelledby="${e(question.id)}-label" data-required data-required-message="${e(this.t('answerQuestion', { number: index + 1 }, 'Please answer question {number}'))}">
+                <p id="${e(question.id)}-label">${index + 1}. ${e(question.text)}</p>
+                ${this.getOptions(question).map(option => `
+                    <label><input type="radio" name="${e(question.id)}" value="${e(option.value)}" /> ${e(option.label)}</label>
+                `).join('')}
+            </div>
+        `).join('');
+
+        answered.forEach(([name, value]) => {
+            const input = [...container.querySelectorAll('input')].find(candidate => candidate.name === name && candidate.value === value);
+            if (input) {
+                input.checked = true;
+            }
+        });
+    }
+
+    // Returns { score, max, band } or null while any question is unanswered
+    static score(definition, answers) {
+        let score = 0;
+        let max = 0;
+
+        for (const question of definition.questions) {
+            const options = question.options || definition.options;
+            const option = options.find(candidate => candidate.value === answers[question.id]);
+            if (!option) {
+                return null;
+            }
+            score += option.points;
+            max += Math.max(...options.map(candidate => candidate.points));
+        }
+
+        const band = definition.bands.find(candidate => score >= candidate.min && score <= candidate.max) || null;
+        return { score, max, band };
+    }
+
+    handleSubmit(formData) {
+        const answers = Object.fromEntries(formData);
+        // No questions are shown until a questionnaire has loaded
+        const result = this.definition && SelfAssessment.score(this.definition, answers);
+
+        if (!result || !result.band) {
+            return { message: this.t('incomplete', {}, 'Please answer every question to see your results.'), type: 'error' };
+        }
+
+        this.showResult(result);
+
+        if (formData.get('save-history')) {
+            this.saveResult(result);
+        }
+        this.renderHistory();
+    }
+
+    showResult(result) {
+        this.result = result;
+        this.renderResult(result);
+        this.results.style.display = 'block';
+
+        // Move focus so screen reader users land on the result
+        this.results.focus({ preventScroll: true });
+        this.results.scrollIntoView({ behavior: utils.scrollBehavior() });
+    }
+
+    renderResult({ score, max, band }) {
+        const e = utils.escapeHtml;
+        const title = this.i18n.localize(band, 'title');
+        const labels = this.i18n.localize(band, 'resourceLabels') || [];
+
+        this.results.querySelector('[data-result-score]').textContent = this.t('score', { title, score, max }, '{title}: {score} out of {max}');
+        document.getElementById('result-message').textContent = this.i18n.localize(band, 'message');
+        this.results.querySelector('[data-result-resources]').innerHTML = (band.resources || [])
+            .map((resource, index) => {
+                const external = /^https?:/.test(resource.href) ? ' target="_blank" rel="noopener"' : '';
+                return `<li><a href="${e(resource.href)}"${external}>${e(labels[index] || resource.label)}</a></li>`;
+            })
+            .join('');
+
+        this.results.className = `quiz-results ${band.level}-risk`;
+    }
+
+    loadHistory() {
+        try {
+            const saved = JSON.parse(this.consent.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveResult({ score, max, band }) {
+        const history = this.loadHistory();
+        history.push({
+            assessment: this.definition.id,
+            score,
+            max,
+            title: band.title,
+            level: band.level,
+            date: new Date().toISOString()
+        });
+        this.consent.setItem(this.storageKey, JSON.stringify(history.slice(-this.historyLimit)));
+    }
+
+    clearHistory() {
+        this.consent.removeItem(this.storageKey);
+        this.renderHistory();
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(this.t('historyCleared', {}, 'Result history cleared'));
+        }
+    }
+
+    renderHistory() {
+        if (!this.history || !this.definition) {
+            return;
+        }
+
+        const entries = this.loadHistory().filter(entry => entry.assessment === this.definition.id);
+        this.history.hidden = entries.length === 0;
+        if (entries.length === 0) {
+            return;
+        }
+
+        const e = utils.escapeHtml;
+        const formatDate = (iso) => new Date(iso).toLocaleDateString(this.i18n.currentLanguage, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+
+        this.history.querySelector('[data-history-rows]').innerHTML = entries
+            .slice()
+            .reverse()
+            .map(entry => `
+                <tr class="${e(entry.level)}-risk">
+                    <td>${e(formatDate(entry.date))}</td>
+                    <td>${entry.score}/${entry.max}</td>
+                    <td>${e(this.getBandTitle(entry))}</td>
+                </tr>
+            `)
+            .join('');
+
+        this.history.querySelector('[data-history-trend]').textContent = this.describeTrend(entries, formatDate);
+    }
+
+    // Saved entries keep the title they were scored with, in case the bands change
+    getBandTitle(entry) {
+        const band = this.definition.bands.find(candidate => candidate.title === entry.title);
+        return band ? this.i18n.localize(band, 'title') : entry.title;
+    }
+
+    // Lower scores mean fewer problems on every supported instrument
+    describeTrend(entries, formatDate) {
+        if (entries.length < 2) {
+            return this.t('trend.first', {}, 'Save another result later to see how your score changes.');
+        }
+
+        const latest = entries[entries.length - 1];
+        const previous = entries[entries.length - 2];
+        const change = latest.score - previous.score;
+        const since = formatDate(previous.date);
+
+        if (change < 0) {
+            return this.t('trend.down', { change: -change, since }, "Your score went down by {change} since {since}. That's a move in the right direction.");
+        }
+        if (change > 0) {
+            return this.t('trend.up', { change, since }, 'Your score went up by {change} since {since}. Consider the help resources above.');
+        }
+        return this.t('trend.same', { since }, 'Your score is unchanged since {since}.');
+    }
+}
+
+// Personal Limits
+// Spend and time budgets, a session timer and a session log, all kept in
+// this browser. While a session runs, reality checks fire on any page of
+// the site; KonceptGaming.setupGlobalEvents pauses and resumes them as the
+// tab is hidden and shown.
+const LIMIT_PERIODS = { daily: 'Today', weekly: 'This week', monthly: 'This month' };
+const LIMIT_WARNING_RATIO = 0.8;
+
+class LimitsManager {
+    constructor(formManager, i18n, consent) {
+        this.formManager = formManager;
+        this.i18n = i18n;
+        this.consent = consent;
+        this.container = document.querySelector('[data-limits-tool]');
+        this.storageKey = 'gambling-limits';
+        this.data = this.load();
+        this.realityTimer = null;
+        this.clockTimer = null;
+        this.dialog = null;
+        this.body = null;
+        this.init();
+    }
+
+    init() {
+        if (this.container) {
+            this.formManager.registerHandler('limits', (form, formData) => this.saveBudgets(formData));
+            this.formManager.registerHandler('session-log', (form, formData) => this.logSession(form, formData));
+            this.body = document.createElement('div');
+            this.body.className = 'limits-body';
+            this.container.appendChild(this.body);
+            this.render();
+
+            document.addEventListener('koncept:language-changed', () => this.render());
+
+            this.container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-limits-action]');
+                if (button) {
+                    this.handleAction(button.dataset.limitsAction, button);
+                }
+            });
+        }
+
+        // Another tab started, ended or logged a session
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.data = this.load();
+                if (!this.data.activeSession && this.dialog && !this.dialog.hidden) {
+                    this.closeRealityCheck(false);
+                }
+                this.refresh();
+                this.scheduleRealityCheck();
+            }
+        });
+
+        this.scheduleRealityCheck();
+        this.startClock();
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`limits.${key}`, params, fallback);
+    }
+
+    load() {
+        const defaults = {
+            budgets: { spend: {}, time: {} },
+            realityCheck: 30,
+            sessions: [],
+            activeSession: null,
+            pendingSession: null
+        };
+
+        try {
+            const saved = JSON.parse(this.consent.getItem(this.storageKey));
+            return saved ? { ...defaults, ...saved } : defaults;
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    save() {
+        this.consent.setItem(this.storageKey, JSON.stringify(this.data));
+    }
+
+    static periodStart(period, now = new Date()) {
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (period === 'weekly') {
+            // Weeks start on Monday
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        } else if (period === 'monthly') {
+            start.setDate(1);
+        }
+        return start;
+    }
+
+    // Money and minutes used since the start of the period, including the running session
+    getUsage(period, now = new Date()) {
+        const since = LimitsManager.periodStart(period, now).getTime();
+        const usage = { spend: 0, time: 0 };
+
+        this.data.sessions.forEach(session => {
+            if (new Date(session.date).getTime() >= since) {
+                usage.spend += session.spent;
+                usage.time += session.minutes;
+            }
+        });
+
+        const active = this.data.activeSession;
+        if (active) {
+            usage.time += Math.max(0, (now.getTime() - Math.max(active.start, since)) / 60000);
+        }
+
+        return usage;
+    }
+
+    // Budgets at or past LIMIT_WARNING_RATIO, most used first
+    getWarnings(now = new Date()) {
+        const warnings = [];
+
+        Object.keys(LIMIT_PERIODS).forEach(period => {
+            const usage = this.getUsage(period, now);
+            ['spend', 'time'].forEach(type => {
+                const limit = this.data.budgets[type][period];
+                if (limit > 0 && usage[type] / limit >= LIMIT_WARNING_RATIO) {
+                    warnings.push({ type, period, used: usage[type], limit, ratio: usage[type] / limit });
+                }
+            });
+        });
+
+        return warnings.sort((a, b) => b.ratio - a.ratio);
+    }
+
+    describeWarning({ type, period, used, limit, ratio }) {
+        const params = {
+            budget: this.t(`budgets.${type}.${period}`, {}, `${period} ${type === 'spend' ? 'spending' : 'time'} budget`),
+            used: this.formatAmount(type, used),
+            limit: this.formatAmount(type, limit),
+            percent: Math.round(ratio * 100)
+        };
+
+        return ratio >= 1
+            ? this.t('reached', params, 'You have reached your {budget} ({used} of {limit}). Please take a break.')
+            : this.t('used', params, 'You have used {percent}% of your {budget} ({used} of {limit}).');
+    }
+
+    formatAmount(type, value) {
+        return type === 'spend' ? this.i18n.formatCurrency(Math.round(value * 100) / 100) : this.formatMinutes(value);
+    }
+
+    formatMinutes(minutes) {
+        const rounded = Math.round(minutes);
+        const hours = Math.floor(rounded / 60);
+        const rest = rounded % 60;
+        return hours > 0
+            ? this.t('duration.hours', { hours, minutes: rest }, '{hours}h {minutes}m')
+            : this.t('duration.minutes', { minutes: rest }, '{minutes}m');
+    }
+
+    // Rebuilt on a language switch, keeping whatever the reader has typed
+    render() {
+        const e = utils.escapeHtml;
+        const t = (key, fallback, params = {}) => e(this.t(key, params, fallback));
+        const currency = LOCALES[this.i18n.currentLanguage].currency;
+        const periodNames = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+        const budgetFields = (type, unit, step) => Object.keys(LIMIT_PERIODS).map(period => `
+            <label>
+                ${t(`fields.${period}`, `${periodNames[period]} ({unit})`, { unit })}
+                <input type="number" name="${type}-${period}" min="0" step="${step}" data-min="0" value="${this.data.budgets[type][period] ?? ''}" />
+            </label>
+        `).join('');
+        const today = new Date();
+        const localToday = new Date(today.getTime() - today.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+        const typed = [...this.body.querySelectorAll('input, select')].map(field => [field.name, field.value]);
+
+        this.body.innerHTML = `
+            <form class="limits-form" data-form-handler="limits">
+                <fieldset>
+                    <legend>${t('spendBudget', 'Spending budget')}</legend>
+                    ${budgetFields('spend', currency, '1')}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('timeBudget', 'Time budget')}</legend>
+                    ${budgetFields('time', this.t('minutesUnit', {}, 'minutes'), '5')}
+                </fieldset>
+                <label class="limits-reality">
+                    ${t('realityEvery', 'Reality check every')}
+                    <select name="reality-check">
+                        ${[0, 15, 30, 45, 60].map(minutes => `
+                            <option value="${minutes}" ${this.data.realityCheck === minutes ? 'selected' : ''}>${minutes ? t('everyMinutes', '{minutes} minutes', { minutes }) : t('off', 'Off')}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <button type="submit" class="btn btn-primary">${t('save', 'Save limits')}</button>
+            </form>
+
+            <div class="limits-usage" data-limits-usage></div>
+
+            <div class="limits-session">
+                <p data-limits-clock aria-live="off"></p>
+                <button type="button" class="btn btn-primary" data-limits-action="start">${t('start', 'Start session')}</button>
+                <button type="button" class="btn btn-outline" data-limits-action="end">${t('end', 'End session')}</button>
+            </div>
+
+            <form class="session-log-form" data-form-handler="session-log">
+                <h4>${t('log.title', 'Log a session')}</h4>
+                <label>${t('log.date', 'Date')}<input type="date" name="date" value="${localToday}" data-required /></label>
+                <label>${t('log.minutes', 'Minutes played')}<input type="number" name="minutes" min="1" step="1" data-required data-min="1" /></label>
+                <label>${t('log.spent', 'Amount spent ({currency})', { currency })}<input type="number" name="spent" min="0" step="0.01" data-required data-min="0" data-required-message="${t('log.spentRequired', 'Enter 0 if you did not spend anything')}" /></label>
+                <button type="submit" class="btn btn-primary">${t('log.submit', 'Log session')}</button>
+            </form>
+
+            <div class="limits-log" data-limits-log></div>
+        `;
+
+        typed.forEach(([name, value]) => {
+            const field = this.body.querySelector(`[name="${name}"]`);
+            if (field) {
+                field.value = value;
+            }
+        });
+
+        this.body.querySelectorAll('form').forEach(form => this.formManager.attach(form));
+        this.refresh();
+    }
+
+    // Re-render everything derived from the stored data
+    refresh() {
+        if (!this.container) {
+            return;
+        }
+
+        this.renderUsage();
+        this.renderSession();
+        this.renderLog();
+    }
+
+    renderUsage() {
+        const e = utils.escapeHtml;
+        const rows = Object.entries(LIMIT_PERIODS).map(([period, fallback]) => {
+            const label = this.t(`periods.${period}`, {}, fallback);
+            const usage = this.getUsage(period);
+            const meters = ['spend', 'time'].map(type => {
+                const limit = this.data.budgets[type][period];
+                const name = type === 'spend' ? this.t('usage.spent', {}, 'Spent') : this.t('usage.played', {}, 'Played');
+                const used = this.formatAmount(type, usage[type]);
+                if (!(limit > 0)) {
+                    return `<div class="limit-meter"><span>${e(this.t('usage.noLimit', { name, used }, '{name}: {used} (no limit)'))}</span></div>`;
+                }
+
+                const ratio = usage[type] / limit;
+                const state = ratio >= 1 ? 'is-over' : ratio >= LIMIT_WARNING_RATIO ? 'is-warning' : '';
+                return `
+                    <div class="limit-meter ${state}">
+                        <span>${e(this.t('usage.ofLimit', { name, used, limit: this.formatAmount(type, limit) }, '{name}: {used} of {limit}'))}</span>
+                        <div class="limit-bar" role="progressbar" aria-label="${e(this.t('usage.barLabel', { period: label, name }, '{period}: {name}'))}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(100, Math.round(ratio * 100))}">
+                            <div class="limit-fill" style="width: ${Math.min(100, ratio * 100)}%"></div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            return `<div class="limit-period"><h4>${e(label)}</h4>${meters}</div>`;
+        }).join('');
+
+        this.container.querySelector('[data-limits-usage]').innerHTML = rows;
+    }
+
+    renderSession() {
+        const active = this.data.activeSession;
+        const clock = this.container.querySelector('[data-limits-clock]');
+
+        clock.textContent = active
+            ? this.t('running', { time: this.formatMinutes((Date.now() - active.start) / 60000) }, 'Session running for {time}')
+            : this.t('notRunning', {}, 'No session running. Start one when you begin playing to get reality checks.');
+        this.container.querySelector('[data-limits-action="start"]').disabled = Boolean(active);
+        this.container.querySelector('[data-limits-action="end"]').disabled = !active;
+
+        // A session ended from the reality check on another page waits here to be logged
+        const pending = this.data.pendingSession;
+        const form = this.container.querySelector('.session-log-form');
+        if (pending && !form.elements.minutes.value) {
+            form.elements.minutes.value = pending.minutes;
+            form.elements.date.value = pending.date;
+        }
+    }
+
+    renderLog() {
+        const e = utils.escapeHtml;
+        const t = (key, fallback) => e(this.t(key, {}, fallback));
+        const log = this.container.querySelector('[data-limits-log]');
+        const sessions = this.data.sessions.slice().sort((a, b) => b.date.localeCompare(a.date));
+
+        if (sessions.length === 0) {
+            log.innerHTML = `<p class="limits-empty">${t('log.empty', 'No sessions logged yet.')}</p>`;
+            return;
+        }
+
+        log.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${t('log.date', 'Date')}</th>
+                        <th scope="col">${t('log.timePlayed', 'Time played')}</th>
+                        <th scope="col">${t('usage.spent', 'Spent')}</th>
+                        <th scope="col"><span class="sr-only">${t('log.actions', 'Actions')}</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessions.map(session => `
+                        <tr>
+                            <td>${e(new Date(session.date).toLocaleDateString(this.i18n.currentLanguage))}</td>
+                            <td>${e(this.formatMinutes(session.minutes))}</td>
+                            <td>${e(this.i18n.formatCurrency(session.spent))}</td>
+                            <td><button type="button" class="compare-remove" data-limits-action="delete" data-session-id="${e(session.id)}" aria-label="${t('log.delete', 'Delete this session')}">×</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="limits-export">
+                <button type="button" class="btn btn-outline" data-limits-action="export-csv">${t('log.exportCsv', 'Export CSV')}</button>
+                <button type="button" class="btn btn-outline" data-limits-action="export-json">${t('log.exportJson', 'Export JSON')}</button>
+                <button type="button" class="btn btn-outline" data-limits-action="clear">${t('log.clear', 'Clear log')}</button>
+            </div>
+        `;
+    }
+
+    handleAction(action, button) {
+        switch (action) {
+            case 'start':
+                this.startSession();
+                break;
+            case 'end':
+                this.endSession();
+                break;
+            case 'delete':
+                this.data.sessions = this.data.sessions.filter(session => session.id !== button.dataset.sessionId);
+                this.save();
+                this.refresh();
+                break;
+            case 'clear':
+                if (window.confirm(this.t('log.confirmClear', {}, 'Delete your whole session log from this device?'))) {
+                    this.data.sessions = [];
+                    this.save();
+                    this.refresh();
+                }
+                break;
+            case 'export-csv':
+                this.exportLog('csv');
+                break;
+            case 'export-json':
+                this.exportLog('json');
+                break;
+        }
+    }
+
+    saveBudgets(formData) {
+        Object.keys(LIMIT_PERIODS).forEach(period => {
+            ['spend', 'time'].forEach(type => {
+                const value = parseFloat(formData.get(`${type}-${period}`));
+                this.data.budgets[type][period] = value > 0 ? value : null;
+            });
+        });
+        this.data.realityCheck = parseInt(formData.get('reality-check'), 10) || 0;
+        this.save();
+        this.refresh();
+        this.scheduleRealityCheck();
+
+        const warnings = this.getWarnings();
+        return warnings.length > 0
+            ? { message: `${this.t('saved', {}, 'Limits saved.')} ${this.describeWarning(warnings[0])}`, type: 'warning' }
+            : { message: this.t('savedOnDevice', {}, 'Your limits are saved on this device.'), type: 'success' };
+    }
+
+    logSession(form, formData) {
+        const [year, month, day] = formData.get('date').split('-').map(Number);
+        const now = new Date();
+        // Today's sessions keep the current time so they sort after earlier ones
+        const date = new Date(year, month - 1, day, now.getHours(), now.getMinutes());
+
+        this.data.sessions.push({
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            date: date.toISOString(),
+            minutes: parseFloat(formData.get('minutes')),
+            spent: parseFloat(formData.get('spent'))
+        });
+        this.data.pendingSession = null;
+        this.save();
+
+        form.elements.minutes.value = '';
+        form.elements.spent.value = '';
+        this.refresh();
+
+        const warnings = this.getWarnings();
+        return warnings.length > 0
+            ? { message: `${this.t('logged', {}, 'Session logged.')} ${this.describeWarning(warnings[0])}`, type: 'warning' }
+            : { message: this.t('logged', {}, 'Session logged.'), type: 'success' };
+    }
+
+    startSession() {
+        if (this.data.activeSession) {
+            return;
+        }
+
+        this.data.activeSession = { start: Date.now(), lastCheck: Date.now() };
+        this.save();
+        this.refresh();
+        this.scheduleRealityCheck();
+        this.startClock();
+        this.announce(this.t('started', {}, 'Session started'));
+    }
+
+    endSession() {
+        const active = this.data.activeSession;
+        if (!active) {
+            return;
+        }
+
+        const start = new Date(active.start);
+        this.data.pendingSession = {
+            date: new Date(start.getTime() - start.getTimezoneOffset() * 60000).toISOString().slice(0, 10),
+            minutes: Math.max(1, Math.round((Date.now() - active.start) / 60000))
+        };
+        this.data.activeSession = null;
+        this.save();
+        this.stopTimers();
+
+        if (this.container) {
+            this.refresh();
+            const spent = this.container.querySelector('.session-log-form [name="spent"]');
+            spent.focus();
+            this.announce(this.t('endedHere', {}, 'Session ended. Enter how much you spent to log it.'));
+        } else {
+            this.announce(this.t('endedElsewhere', {}, 'Session ended. Log it on the responsible gambling page.'));
+        }
+    }
+
+    announce(message) {
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(message);
+        }
+    }
+
+    exportLog(format) {
+        const sessions = this.data.sessions.slice().sort((a, b) => a.date.localeCompare(b.date));
+        const content = format === 'csv'
+            ? ['date,minutes,spent', ...sessions.map(session => `${session.date},${session.minutes},${session.spent}`)].join('\n')
+            : JSON.stringify({ exported: new Date().toISOString(), budgets: this.data.budgets, sessions }, null, 2);
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `gambling-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    startClock() {
+        clearInterval(this.clockTimer);
+        if (this.container && this.data.activeSession && document.visibilityState !== 'hidden') {
+            this.clockTimer = setInterval(() => {
+                this.renderSession();
+                this.renderUsage();
+            }, 30000);
+        }
+    }
+
+    stopTimers() {
+        clearTimeout(this.realityTimer);
+        clearInterval(this.clockTimer);
+    }
+
+    scheduleRealityCheck() {
+        clearTimeout(this.realityTimer);
+        const active = this.data.activeSession;
+        if (!active || !this.data.realityCheck || document.visibilityState === 'hidden') {
+            return;
+        }
+
+        const due = active.lastCheck + this.data.realityCheck * 60000;
+        this.realityTimer = setTimeout(() => this.showRealityCheck(), Math.max(0, due - Date.now()));
+    }
+
+    // Called from KonceptGaming.setupGlobalEvents. Checks that came due
+    // while the tab was hidden are shown as soon as it is visible again.
+    handleVisibilityChange(visible) {
+        if (!visible) {
+            this.stopTimers();
+            return;
+        }
+
+        this.data = this.load();
+        this.refresh();
+        this.scheduleRealityCheck();
+        this.startClock();
+    }
+
+    showRealityCheck() {
+        const active = this.data.activeSession;
+        if (!active) {
+            return;
+        }
+
+        if (!this.dialog) {
+            this.dialog = document.createElement('div');
+            this.dialog.className = 'reality-check';
+            this.dialog.setAttribute('role', 'alertdialog');
+            this.dialog.setAttribute('aria-modal', 'true');
+            this.dialog.setAttribute('aria-labelledby', 'reality-check-title');
+            this.dialog.setAttribute('aria-describedby', 'reality-check-message');
+            document.body.appendChild(this.dialog);
+
+            this.dialog.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-reality-action]');
+                if (action) {
+                    this.closeRealityCheck(action.dataset.realityAction === 'end');
+                }
+            });
+        }
+
+        const e = utils.escapeHtml;
+        const elapsed = this.formatMinutes((Date.now() - active.start) / 60000);
+        const warnings = this.getWarnings();
+
+        this.lastFocus = document.activeElement;
+        this.dialog.innerHTML = `
+            <div class="reality-check-panel">
+                <h3 id="reality-check-title">${e(this.t('realityCheck.title', {}, 'Reality check'))}</h3>
+                <div id="reality-check-message">
+                    <p>${e(this.t('realityCheck.elapsed', { time: elapsed }, 'You have been playing for {time}.'))}</p>
+                    ${warnings.map(warning => `<p class="reality-check-warning">${e(this.describeWarning(warning))}</p>`).join('')}
+                </div>
+                <div class="reality-check-actions">
+                    <button type="button" class="btn btn-primary" data-reality-action="end">${e(this.t('realityCheck.end', {}, 'End session'))}</button>
+                    <button type="button" class="btn btn-outline" data-reality-action="continue">${e(this.t('realityCheck.continue', {}, 'Keep playing'))}</button>
+                </div>
+            </div>
+        `;
+        this.dialog.hidden = false;
+        this.dialog.querySelector('[data-reality-action="end"]').focus();
+    }
+
+    closeRealityCheck(endSession) {
+        this.dialog.hidden = true;
+        if (this.lastFocus && this.lastFocus.isConnected) {
+            this.lastFocus.focus();
+        }
+
+        // Another tab may have ended the session while the dialog was open
+        this.data = this.load();
+        if (!this.data.activeSession) {
+            return;
+        }
+
+        if (endSession) {
+            this.endSession();
+            return;
+        }
+
+        this.data.activeSession.lastCheck = Date.now();
+        this.save();
+        this.scheduleRealityCheck();
+    }
+}
+
+// Bonus Freshness
+// Offers may carry validFrom / expiresAt / lastVerified timestamps; a bare
+// date ("2026-12-31") runs to the end of that day. Ending offers get a live
+// countdown, expired or not-yet-started ones are greyed out (or hidden inside
+// [data-bonus-expired="hide"]), and anything last verified more than
+// SITE_CONFIG.bonuses.staleAfterHours ago is flagged. Offers with no
+// lastVerified show no verification note at all.
+class BonusFreshness {
+    constructor(catalog, i18n, options = SITE_CONFIG.bonuses) {
+        this.catalog = catalog;
+        this.i18n = i18n;
+        this.options = { staleAfterHours: 24, endingSoonDays: 7, expired: 'dim', ...options };
+        this.timer = null;
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('koncept:rendered', (e) => {
+            this.apply(e.detail.root);
+        });
+
+        document.addEventListener('koncept:bonuses-loaded', () => {
+            // Countdowns tick once a minute
+            clearInterval(this.timer);
+            this.timer = setInterval(() => this.apply(document), 60000);
+        });
+    }
+
+    // Date-only values are local days: validFrom starts at midnight,
+    // expiresAt ends a millisecond before the next one
+    static parseDate(value, endOfDay = false) {
+        if (!value) {
+            return null;
+        }
+        const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!day) {
+            return new Date(value);
+        }
+        const [, year, month, date] = day.map(Number);
+        return endOfDay
+            ? new Date(year, month - 1, date, 23, 59, 59, 999)
+            : new Date(year, month - 1, date);
+    }
+
+    // 'upcoming' | 'active' | 'ending' | 'expired' at the given time
+    static getStatus(bonus, now, endingSoonDays) {
+        const validFrom = BonusFreshness.parseDate(bonus.validFrom);
+        const expiresAt = BonusFreshness.parseDate(bonus.expiresAt, true);
+
+        if (validFrom && now < validFrom) {
+            return 'upcoming';
+        }
+        if (expiresAt && now > expiresAt) {
+            return 'expired';
+        }
+        if (expiresAt && expiresAt - now <= endingSoonDays * 86400000) {
+            return 'ending';
+        }
+        return 'active';
+    }
+
+    isStale(bonus, now) {
+        if (!bonus.lastVerified) {
+            return false;
+        }
+        return now - new Date(bonus.lastVerified) > this.options.staleAfterHours * 3600000;
+    }
+
+    // "in 3 days", "2 hours ago": the largest unit that fits
+    formatRelative(date, now) {
+        const seconds = (date - now) / 1000;
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+        const [unit, size] = units.find(([, unitSize]) => Math.abs(seconds) >= unitSize) || units[units.length - 1];
+        return new Intl.RelativeTimeFormat(this.i18n.currentLanguage, { numeric: 'auto' })
+            .format(Math.round(seconds / size), unit);
+    }
+
+    formatDate(date) {
+        return date.toLocaleDateString(this.i18n.currentLanguage, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    apply(root, now = new Date()) {
+        const selector = '[data-bonus-id], [data-bonus-offer]';
+        const offers = [...root.querySelectorAll(selector)];
+        if (root.matches && root.matches(selector)) {
+            offers.push(root);
+        }
+
+        offers.forEach(offer => {
+            const bonus = this.catalog.getBonus(offer.dataset.bonusId || offer.dataset.bonusOffer);
+            if (!bonus) {
+                return;
+            }
+
+            const status = BonusFreshness.getStatus(bonus, now, this.options.endingSoonDays);
+            const unavailable = status === 'expired' || status === 'upcoming';
+            const hide = unavailable && (this.options.expired === 'hide' || offer.closest('[data-bonus-expired="hide"]') !== null);
+
+            offer.classList.toggle('offer-expired', unavailable && !hide);
+            offer.classList.toggle('offer-hidden', hide);
+            offer.classList.toggle('offer-stale', this.isStale(bonus, now));
+            offer.querySelectorAll('.btn-claim').forEach(claim => {
+                if (unavailable) {
+                    claim.setAttribute('aria-disabled', 'true');
+                    claim.setAttribute('tabindex', '-1');
+                } else {
+                    claim.removeAttribute('aria-disabled');
+                    claim.removeAttribute('tabindex');
+                }
+            });
+
+            this.updateStatusBadge(offer, bonus, status, now);
+            this.updateFreshness(offer, bonus, now);
+        });
+    }
+
+    updateStatusBadge(offer, bonus, status, now) {
+        let badge = offer.querySelector(':scope > .offer-status');
+
+        if (status === 'active') {
+            if (badge) {
+                badge.remove();
+            }
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            offer.prepend(badge);
+        }
+
+        const t = (key, params) => this.i18n.t(key, params);
+        const texts = {
+            ending: () => t('bonus.ends', { relative: this.formatRelative(BonusFreshness.parseDate(bonus.expiresAt, true), now) }),
+            expired: () => t('bonus.expired'),
+            upcoming: () => t('bonus.starts', { date: this.formatDate(BonusFreshness.parseDate(bonus.validFrom)) })
+        };
+
+        badge.className = `offer-status is-${status}`;
+        badge.textContent = texts[status]();
+        if (status === 'ending') {
+            badge.setAttribute('title', this.formatDate(BonusFreshness.parseDate(bonus.expiresAt, true)));
+        }
+    }
+
+    updateFreshness(offer, bonus, now) {
+        let note = offer.querySelector('.offer-freshness');
+        if (!bonus.lastVerified) {
+            if (note) {
+                note.remove();
+            }
+            return;
+        }
+
+        if (!note) {
+            note = document.createElement('p');
+            note.className = 'offer-freshness';
+            const slot = offer.querySelector('.bonus-info, .bonus-details, .offer-details');
+            (slot || offer).appendChild(note);
+        }
+
+        const verified = new Date(bonus.lastVerified);
+        note.textContent = this.isStale(bonus, now)
+            ? this.i18n.t('bonus.stale', { date: this.formatDate(verified) })
+            // Clamp so a timestamp slightly ahead of the reader's clock still reads as "now"
+            : this.i18n.t('bonus.verified', { relative: this.formatRelative(Math.min(verified, now), now) });
+        note.setAttribute('title', verified.toLocaleString(this.i18n.currentLanguage));
+    }
+}
+
+// Tabs
+// WAI-ARIA tabs for any [data-tabs] tablist whose buttons carry
+// data-tab="<panel id>". Arrow keys, Home and End move between tabs, the
+// selected panel is mirrored in the URL hash (#wv opens West Virginia, as
+// does a link to anything inside that panel) and back/forward restore
+// earlier selections. Add data-tabs-hash="false" to keep a tablist out of
+// the URL.
+const TAB_INSTANCES = new WeakMap();
+
+class Tabs {
+    constructor(tablist) {
+        this.tablist = tablist;
+        this.tabs = [...tablist.querySelectorAll('[data-tab]')];
+        this.panels = this.tabs.map(tab => document.getElementById(tab.dataset.tab));
+        this.useHash = tablist.dataset.tabsHash !== 'false';
+        TAB_INSTANCES.set(tablist, this);
+        this.init();
+    }
+
+    static initAll(root = document) {
+        return [...root.querySelectorAll('[data-tabs]')]
+            .filter(tablist => !TAB_INSTANCES.has(tablist))
+            .map(tablist => new Tabs(tablist));
+    }
+
+    static get(tablist) {
+        return TAB_INSTANCES.get(tablist) || null;
+    }
+
+    init() {
+        this.tablist.setAttribute('role', 'tablist');
+
+        this.tabs.forEach((tab, index) => {
+            const panel = this.panels[index];
+            if (!panel) {
+                console.warn(`Tab panel #${tab.dataset.tab} not found`);
+                return;
+            }
+
+            tab.id = tab.id || `tab-${panel.id}`;
+            tab.type = 'button';
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', panel.id);
+            panel.setAttribute('role', 'tabpanel');
+            panel.setAttribute('aria-labelledby', tab.id);
+            panel.tabIndex = 0;
+
+            tab.addEventListener('click', () => this.select(tab, { history: true }));
+        });
+
+        this.tablist.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        if (this.useHash) {
+            window.addEventListener('popstate', () => this.syncWithHash());
+            window.addEventListener('hashchange', () => this.syncWithHash({ scroll: true }));
+        }
+
+        const linked = this.getTabFromHash();
+        this.select(linked || this.tabs.find(tab => tab.classList.contains('active')) || this.tabs[0]);
+        if (linked) {
+            this.scrollToHashTarget();
+        }
+    }
+
+    // The hashed element when it is one of our panels or inside one
+    getHashTarget() {
+        if (!this.useHash || !window.location.hash) {
+            return null;
+        }
+        const target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+        return target && this.panels.some(panel => panel && panel.contains(target)) ? target : null;
+    }
+
+    getTabFromHash() {
+        const target = this.getHashTarget();
+        return target ? this.tabs.find((tab, index) => this.panels[index] && this.panels[index].contains(target)) : null;
+    }
+
+    // A whole panel is shown from its tabs, anything inside it directly
+    scrollToHashTarget() {
+        const target = this.getHashTarget();
+        utils.smoothScrollTo(this.panels.includes(target) ? this.tablist : target);
+    }
+
+    // Back/forward to an entry without one of our hashes returns to the first tab
+    syncWithHash({ scroll = false } = {}) {
+        const linked = this.getTabFromHash();
+        if (linked) {
+            this.select(linked);
+            if (scroll) {
+                this.scrollToHashTarget();
+            }
+        } else if (!window.location.hash) {
+            this.select(this.tabs[0]);
+        }
+    }
+
+    handleKeydown(e) {
+        const index = this.tabs.indexOf(e.target.closest('[role="tab"]'));
+        if (index === -1) {
+            return;
+        }
+
+        const last = this.tabs.length - 1;
+        const targets = {
+            ArrowLeft: index === 0 ? last : index - 1,
+            ArrowRight: index === last ? 0 : index + 1,
+            Home: 0,
+            End: last
+        };
+
+        if (e.key in targets) {
+            e.preventDefault();
+            this.select(this.tabs[targets[e.key]], { history: true, focus: true });
+        }
+    }
+
+    select(tab, { history = false, focus = false } = {}) {
+        if (!tab) {
+            return;
+        }
+
+        this.tabs.forEach((candidate, index) => {
+            const selected = candidate === tab;
+            const panel = this.panels[index];
+
+            candidate.classList.toggle('active', selected);
+            candidate.setAttribute('aria-selected', String(selected));
+            candidate.tabIndex = selected ? 0 : -1;
+            if (panel) {
+                panel.classList.toggle('active', selected);
+                panel.hidden = !selected;
+            }
+        });
+
+        const hash = `#${tab.dataset.tab}`;
+        if (history && this.useHash && window.location.hash !== hash) {
+            window.history.pushState(null, '', hash);
+        }
+        if (focus) {
+            tab.focus();
+        }
+
+        this.tablist.dispatchEvent(new CustomEvent('koncept:tab-changed', {
+            bubbles: true,
+            detail: { tab, panel: document.getElementById(tab.dataset.tab) }
+        }));
+    }
+}
+
+// Accordion
+// WAI-ARIA accordion for [data-accordion] containers. Each
+// [data-accordion-item] holds a [data-accordion-trigger] button inside its
+// heading and a [data-accordion-panel]. With data-accordion-single only
+// one item stays open. Items with an id can be deep linked (#faq-wagering)
+// and opening one adds a history entry.
+const ACCORDION_INSTANCES = new WeakMap();
+
+class Accordion {
+    constructor(container) {
+        this.container = container;
+        this.single = 'accordionSingle' in container.dataset;
+        this.items = [...container.querySelectorAll('[data-accordion-item]')];
+        ACCORDION_INSTANCES.set(container, this);
+        this.init();
+    }
+
+    static initAll(root = document) {
+        return [...root.querySelectorAll('[data-accordion]')]
+            .filter(container => !ACCORDION_INSTANCES.has(container))
+            .map(container => new Accordion(container));
+    }
+
+    init() {
+        this.items.forEach((item, index) => {
+            const trigger = item.querySelector('[data-accordion-trigger]');
+            const panel = item.querySelector('[data-accordion-panel]');
+            const baseId = item.id || `accordion-item-${index + 1}`;
+
+            trigger.id = trigger.id || `${baseId}-trigger`;
+            panel.id = panel.id || `${baseId}-panel`;
+            trigger.setAttribute('aria-controls', panel.id);
+            panel.setAttribute('role', 'region');
+            panel.setAttribute('aria-labelledby', trigger.id);
+
+            trigger.addEventListener('click', () => this.toggle(item, { history: true }));
+            this.setOpen(item, item.classList.contains('active'));
+        });
+
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        window.addEventListener('popstate', () => this.syncWithHash());
+        window.addEventListener('hashchange', () => this.syncWithHash({ scroll: true }));
+        this.syncWithHash({ scroll: true });
+    }
+
+    getItemFromHash() {
+        if (!window.location.hash) {
+            return null;
+        }
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    syncWithHash({ scroll = false } = {}) {
+        const linked = this.getItemFromHash();
+        if (linked) {
+            this.open(linked);
+            if (scroll) {
+                utils.smoothScrollTo(linked);
+            }
+        } else if (this.single && !window.location.hash) {
+            this.items.forEach(item => this.setOpen(item, false));
+        }
+    }
+
+    // Up/Down/Home/End move between item headers
+    handleKeydown(e) {
+        const triggers = this.items.map(item => item.querySelector('[data-accordion-trigger]'));
+        const index = triggers.indexOf(e.target);
+        if (index === -1) {
+            return;
+        }
+
+        const last = triggers.length - 1;
+        const targets = {
+            ArrowUp: index === 0 ? last : index - 1,
+            ArrowDown: index === last ? 0 : index + 1,
+            Home: 0,
+            End: last
+        };
+
+        if (e.key in targets) {
+            e.preventDefault();
+            triggers[targets[e.key]].focus();
+        }
+    }
+
+    toggle(item, options) {
+        if (item.classList.contains('active')) {
+            this.close(item, options);
+        } else {
+            this.open(item, options);
+        }
+    }
+
+    open(item, { history = false } = {}) {
+        if (this.single) {
+            this.items.forEach(other => this.setOpen(other, other === item));
+        } else {
+            this.setOpen(item, true);
+        }
+
+        if (history && item.id && window.location.hash !== `#${item.id}`) {
+            window.history.pushState(null, '', `#${item.id}`);
+        }
+    }
+
+    close(item, { history = false } = {}) {
+        this.setOpen(item, false);
+
+        if (history && item.id && window.location.hash === `#${item.id}`) {
+            window.history.pushState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    setOpen(item, open) {
+        item.classList.toggle('active', open);
+        item.querySelector('[data-accordion-trigger]').setAttribute('aria-expanded', String(open));
+        item.querySelector('[data-accordion-panel]').hidden = !open;
+    }
+}
+
+// Bonus Code Manager
+// Every [data-bonus-code] element (the catalog renders one per offer)
+// becomes a copy button. Copies go through utils.copyText, are announced
+// to screen readers and confirmed on the button, and are counted per code
+// in localStorage. Each copy also dispatches koncept:code-copied with
+// { code, bonusId, count } for analytics.
+const CODE_COPIED_DURATION = 2000;
+
+class BonusCodeManager {
+    constructor(i18n, consent) {
+        this.i18n = i18n;
+        this.consent = consent;
+        this.storageKey = 'bonus-code-copies';
+        this.counts = this.loadCounts();
+        this.init();
+    }
+
+    init() {
+        this.enhance(document);
+
+        document.addEventListener('koncept:rendered', (e) => {
+            this.enhance(e.detail.root);
+        });
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.code-copy');
+            if (button) {
+                this.copy(button);
+            }
+        });
+    }
+
+    loadCounts() {
+        try {
+            return JSON.parse(this.consent.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getCount(code) {
+        return this.counts[code] || 0;
+    }
+
+    enhance(root) {
+        const elements = [...root.querySelectorAll('[data-bonus-code]')];
+        if (root.matches && root.matches('[data-bonus-code]')) {
+            elements.push(root);
+        }
+
+        elements.forEach(element => {
+            if (element.querySelector('.code-copy')) {
+                return;
+            }
+
+            const e = utils.escapeHtml;
+            const code = element.dataset.bonusCode;
+            // "Code: WELCOME25" keeps its label, only the code itself gets selected
+            const [before, ...after] = (element.textContent.trim() || code).split(code);
+            const label = after.length
+                ? `${e(before)}<span class="code-copy-value">${e(code)}</span>${e(after.join(code))}`
+                : `<span class="code-copy-value">${e(code)}</span>`;
+
+            element.innerHTML = `
+                <button type="button" class="code-copy" aria-label="${e(this.i18n.t('bonus.copyLabel', { code }, 'Copy code {code}'))}">
+                    <span>${label}</span>
+                    <span class="code-copy-action" aria-hidden="true">${e(this.i18n.t('bonus.copy', {}, 'Copy'))}</span>
+                </button>
+            `;
+        });
+    }
+
+    async copy(button) {
+        const element = button.closest('[data-bonus-code]');
+        const code = element.dataset.bonusCode;
+        const offer = element.closest('[data-bonus-id], [data-bonus-offer]');
+        const copied = await utils.copyText(code);
+
+        if (!copied) {
+            this.selectCode(button);
+            this.announce(this.i18n.t('bonus.copyFailed', { code }, 'Could not copy automatically. Code {code} is selected, copy it manually.'));
+            return;
+        }
+
+        this.counts[code] = this.getCount(code) + 1;
+        this.consent.setItem(this.storageKey, JSON.stringify(this.counts));
+
+        this.confirm(button);
+        this.announce(this.i18n.t('bonus.copyAnnouncement', { code }, 'Code {code} copied to clipboard'));
+
+        document.dispatchEvent(new CustomEvent('koncept:code-copied', {
+            detail: {
+                code,
+                bonusId: offer ? offer.dataset.bonusId || offer.dataset.bonusOffer : null,
+                count: this.counts[code]
+            }
+        }));
+    }
+
+    confirm(button) {
+        const action = button.querySelector('.code-copy-action');
+        clearTimeout(button.copiedTimer);
+
+        button.classList.add('is-copied');
+        action.textContent = this.i18n.t('bonus.copied', {}, 'Copied!');
+
+        button.copiedTimer = setTimeout(() => {
+            button.classList.remove('is-copied');
+            action.textContent = this.i18n.t('bonus.copy', {}, 'Copy');
+        }, CODE_COPIED_DURATION);
+    }
+
+    // Leave the code selected so a long-press or Ctrl+C still works
+    selectCode(button) {
+        const range = document.createRange();
+        range.selectNodeContents(button.querySelector('.code-copy-value'));
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    announce(message) {
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(message);
+        }
+    }
+}
+
+// Outbound Link Manager
+// Claim buttons (.btn-claim) and [data-outbound] links are resolved to the
+// casino's affiliate URL: the offer's own URL when the surrounding
+// [data-bonus-id] / [data-bonus-offer] / [data-casino-id] has one, otherwise
+// the casino's landing page from data/casinos.json. Each link is tagged with
+// campaign and sub-ID parameters. A plain click first shows an interstitial
+// with the bonus code (already copied), the offer's key terms and the legal
+// age and helpline for the reader's jurisdiction (see AgeGate). Clicks that
+// actually leave for the casino are beaconed to options.endpoint (when the
+// reader allows analytics); one abandoned at the interstitial is not.
+const OUTBOUND_SELECTOR = '.btn-claim, [data-outbound]';
+const OUTBOUND_ITEM_SELECTOR = '[data-bonus-id], [data-bonus-offer], [data-casino-id]';
+
+class OutboundLinkManager {
+    constructor(catalog, ageGate, i18n, transport, options = SITE_CONFIG.outbound, source = 'data/casinos.json') {
+        this.catalog = catalog;
+        this.ageGate = ageGate;
+        this.i18n = i18n;
+        this.transport = transport;
+        this.options = options;
+        this.source = source;
+        this.bonuses = [];
+        this.casinos = [];
+        this.dialog = null;
+        this.lastFocus = null;
+        this.pending = null;
+        this.init();
+    }
+
+    async init() {
+        if (!document.querySelector(OUTBOUND_SELECTOR) && !document.querySelector('[data-bonus-catalog], [data-bonus-offer]')) {
+            return;
+        }
+
+        try {
+            await this.catalog.ready;
+            const [bonuses, casinos] = await Promise.all([
+                this.catalog.bonuses.length ? this.catalog.bonuses : this.catalog.load(),
+                this.loadCasinos()
+            ]);
+            this.bonuses = bonuses;
+            this.casinos = casinos;
+        } catch (error) {
+            console.error('Affiliate link data failed to load:', error);
+            return;
+        }
+
+        this.decorate(document);
+
+        document.addEventListener('koncept:rendered', (e) => {
+            this.decorate(e.detail.root);
+        });
+
+        document.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    async loadCasinos() {
+        const response = await fetch(utils.resolveUrl(this.source));
+        if (!response.ok) {
+            throw new Error(`Unexpected response ${response.status} for ${this.source}`);
+        }
+        const data = await response.json();
+        return data.casinos || [];
+    }
+
+    // home, no-deposit-bonuses, casino-reviews, ...
+    static getPageSlug() {
+        const file = window.location.pathname.split('/').pop().replace(/\.html$/, '');
+        return !file || file === 'index' ? 'home' : file;
+    }
+
+    // What a link points at: { casinoId, bonus, casino, url, position }
+    resolve(link) {
+        const item = link.closest(OUTBOUND_ITEM_SELECTOR);
+        if (!item) {
+            return null;
+        }
+
+        const casinoId = item.dataset.bonusId || item.dataset.bonusOffer || item.dataset.casinoId;
+        const bonus = this.bonuses.find(candidate => candidate.id === casinoId) || null;
+        const casino = this.casinos.find(candidate => candidate.id === casinoId) || null;
+        const url = (bonus && bonus.affiliateUrl) || (casino && casino.affiliateUrl);
+        if (!url) {
+            return null;
+        }
+
+        const siblings = item.parentElement
+            ? [...item.parentElement.children].filter(child => child.matches(OUTBOUND_ITEM_SELECTOR))
+            : [item];
+
+        return { casinoId, bonus, casino, url, position: siblings.indexOf(item) + 1 };
+    }
+
+    buildUrl(target) {
+        const url = new URL(target.url);
+        Object.entries(this.options.params || {}).forEach(([key, value]) => {
+            url.searchParams.set(key, value);
+        });
+        url.searchParams.set('utm_campaign', target.bonus ? target.bonus.id : target.casinoId);
+        if (this.options.subIdParam) {
+            url.searchParams.set(this.options.subIdParam, `${OutboundLinkManager.getPageSlug()}-${target.casinoId}-${target.position}`);
+        }
+        return url.href;
+    }
+
+    decorate(root) {
+        const links = [...root.querySelectorAll(OUTBOUND_SELECTOR)];
+        if (root.matches && root.matches(OUTBOUND_SELECTOR)) {
+            links.push(root);
+        }
+
+        links.forEach(link => {
+            const target = this.resolve(link);
+            if (!target) {
+                return;
+            }
+
+            link.href = this.buildUrl(target);
+            link.target = '_blank';
+            link.rel = 'sponsored noopener';
+            link.dataset.outboundCasino = target.casinoId;
+        });
+    }
+
+    handleClick(e) {
+        const link = e.target.closest(OUTBOUND_SELECTOR);
+        if (!link || !link.dataset.outboundCasino) {
+            return;
+        }
+
+        // Expired offers keep their button but it no longer leads anywhere
+        if (link.getAttribute('aria-disabled') === 'true') {
+            e.preventDefault();
+            return;
+        }
+
+        const target = this.resolve(link);
+        if (!target) {
+            return;
+        }
+
+        // Modified and middle clicks open the (already tagged) URL directly
+        const plainClick = e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+        if (this.options.interstitial && plainClick) {
+            e.preventDefault();
+            this.openInterstitial(target, link);
+        } else {
+            this.trackClick(target, link.href);
+        }
+    }
+
+    trackClick(target, url) {
+        if (!this.options.endpoint) {
+            return;
+        }
+
+        const body = JSON.stringify({
+            casino: target.casinoId,
+            offer: target.bonus ? target.bonus.id : null,
+            code: target.bonus ? target.bonus.code || null : null,
+            page: window.location.pathname,
+            position: target.position,
+            url,
+            timestamp: new Date().toISOString()
+        });
+
+        this.transport.send(this.options.endpoint, body);
+    }
+
+    getTerms(target) {
+        const t = (key, params, fallback) => this.i18n.t(`outbound.${key}`, params, fallback);
+        const { bonus } = target;
+        const age = AgeGate.getMinimumAge(this.ageGate.getDefaultJurisdiction());
+        const terms = [];
+        const name = (bonus && bonus.casino) || (target.casino && target.casino.name);
+
+        if (bonus) {
+            terms.push(bonus.wagering === 0
+                ? t('noWagering', {}, 'No wagering requirement on winnings')
+                : t('wagering', { times: bonus.wagering }, '{times}x wagering requirement'));
+            if (bonus.states && bonus.states.length) {
+                terms.push(t('states', { states: bonus.states.join(', ') }, 'Available in {states} only'));
+            }
+            if (bonus.expiresAt) {
+                const date = BonusFreshness.parseDate(bonus.expiresAt, true).toLocaleDateString(this.i18n.currentLanguage, { month: 'short', day: 'numeric', year: 'numeric' });
+                terms.push(t('expires', { date }, 'Offer ends {date}'));
+            }
+        }
+        terms.push(t('eligibility', { casino: name, age }, 'New players only, {age}+. Full terms apply at {casino}.'));
+
+        return terms;
+    }
+
+    openInterstitial(target, link) {
+        const e = utils.escapeHtml;
+        const t = (key, params, fallback) => this.i18n.t(`outbound.${key}`, params, fallback);
+        const name = (target.bonus && target.bonus.casino) || (target.casino && target.casino.name);
+        const code = target.bonus && target.bonus.code;
+
+        if (!this.dialog) {
+            this.dialog = document.createElement('div');
+            this.dialog.className = 'outbound-dialog';
+            this.dialog.setAttribute('role', 'dialog');
+            this.dialog.setAttribute('aria-modal', 'true');
+            this.dialog.setAttribute('aria-labelledby', 'outbound-title');
+            this.dialog.hidden = true;
+            document.body.appendChild(this.dialog);
+
+            this.dialog.addEventListener('click', (event) => {
+                const proceed = event.target.closest('.outbound-continue');
+                if (proceed && this.pending) {
+                    this.trackClick(this.pending.target, this.pending.url);
+                }
+                if (event.target === this.dialog || proceed || event.target.closest('[data-outbound-close]')) {
+                    this.closeInterstitial({ restoreFocus: !proceed });
+                }
+            });
+
+            document.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape' && !this.dialog.hidden) {
+                    this.closeInterstitial();
+                }
+            });
+
+            this.dialog.addEventListener('keydown', (event) => {
+                if (event.key === 'Tab') {
+                    this.trapFocus(event);
+                }
+            });
+        }
+
+        const jurisdiction = this.ageGate.getDefaultJurisdiction();
+        const age = AgeGate.getMinimumAge(jurisdiction);
+        const helpline = AgeGate.getHelpline(jurisdiction);
+        const disclosure = helpline
+            ? t('disclosure', { age, helpline }, 'We may earn a commission if you sign up through this link. {age}+. Gambling problem? Call {helpline}.')
+            : t('disclosureLocal', { age }, 'We may earn a commission if you sign up through this link. {age}+. Gambling problem? Contact your local problem gambling helpline.');
+
+        this.dialog.innerHTML = `
+            <div class="outbound-panel">
+                <div class="calculator-header">
+                    <h3 id="outbound-title">${e(t('title', { casino: name }, 'You\'re heading to {casino}'))}</h3>
+                    <button type="button" class="calculator-close" data-outbound-close aria-label="${e(t('cancel', {}, 'Stay on Koncept Gaming'))}">×</button>
+                </div>
+                ${code ? `
+                    <div class="outbound-code">
+                        <span class="outbound-code-value">${e(code)}</span>
+                        <span class="outbound-code-status" role="status"></span>
+                    </div>
+                ` : ''}
+                <h4>${e(t('keyTerms', {}, 'Key terms'))}</h4>
+                <ul class="outbound-terms">
+                    ${this.getTerms(target).map(term => `<li>${e(term)}</li>`).join('')}
+                </ul>
+                <div class="outbound-actions">
+                    <a class="btn btn-primary outbound-continue" href="${e(link.href)}" target="_blank" rel="sponsored noopener">
+                        ${e(t('continue', { casino: name }, 'Continue to {casino}'))}
+                    </a>
+                    <button type="button" class="btn btn-outline" data-outbound-close>${e(t('cancel', {}, 'Stay on Koncept Gaming'))}</button>
+                </div>
+                <p class="outbound-disclosure">${e(disclosure)}</p>
+            </div>
+        `;
+
+        this.pending = { target, url: link.href };
+        this.lastFocus = link;
+        this.dialog.hidden = false;
+        document.body.classList.add('outbound-open');
+        this.dialog.querySelector('.outbound-continue').focus();
+
+        if (code) {
+            utils.copyText(code).then(copied => {
+                const status = this.dialog.querySelector('.outbound-code-status');
+                if (status) {
+                    status.textContent = copied
+                        ? t('copied', {}, 'Code copied')
+                        : t('copyFailed', {}, 'Enter this code when you sign up');
+                }
+            });
+        }
+    }
+
+    closeInterstitial({ restoreFocus = true } = {}) {
+        if (!this.dialog || this.dialog.hidden) {
+            return;
+        }
+
+        this.dialog.hidden = true;
+        this.pending = null;
+        document.body.classList.remove('outbound-open');
+        if (restoreFocus && this.lastFocus && this.lastFocus.isConnected) {
+            this.lastFocus.focus();
+        }
+    }
+
+    // The interstitial is aria-modal, so Tab cycles through it only
+    trapFocus(e) {
+        const focusables = [...this.dialog.querySelectorAll('a[href], button:not([disabled])')];
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Site Search
+// A search box in the navbar over data/search-index.json, which
+// scripts/build-search-index.js generates from the [data-search] sections
+// of every page plus the bonus catalog. Matching is forgiving: word
+// prefixes, substrings and small typos ("paypall", "conneticut") all count,
+// with title hits ranked above keyword and body text hits. Results follow
+// the combobox pattern (arrow keys, Enter, Escape) and a result on the
+// current page is scrolled to instead of reloading it.
+const SEARCH_RESULT_LIMIT = 8;
+const SEARCH_FIELD_WEIGHTS = { title: 3, keywords: 2, text: 1 };
+
+class SiteSearch {
+    constructor(navigation, i18n, source = 'data/search-index.json') {
+        this.navigation = navigation;
+        this.i18n = i18n;
+        this.source = source;
+        this.entries = null;
+        this.loading = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.pendingHash = null;
+        this.init();
+    }
+
+    init() {
+        const menu = document.getElementById('nav-menu');
+        if (!menu) {
+            return;
+        }
+
+        this.form = document.createElement('form');
+        this.form.className = 'site-search';
+        this.form.setAttribute('role', 'search');
+        this.form.innerHTML = `
+            <label for="site-search-input" class="sr-only" data-i18n="search.label">Search the site</label>
+            <input type="search" id="site-search-input" class="site-search-input" autocomplete="off"
+                role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="site-search-results"
+                placeholder="Search casinos, bonuses…" data-i18n-attr="placeholder:search.placeholder" />
+            <ul id="site-search-results" class="site-search-results" role="listbox" hidden></ul>
+        `;
+        menu.appendChild(this.form);
+
+        this.input = this.form.querySelector('input');
+        this.list = this.form.querySelector('ul');
+
+        this.input.addEventListener('focus', () => this.load());
+        this.input.addEventListener('input', utils.debounce(() => this.search(this.input.value), 120));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.go(this.results[Math.max(this.activeIndex, 0)]);
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.go(this.results[Number(option.dataset.index)]);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.form.contains(e.target)) {
+                this.close();
+            }
+        });
+
+        // Bonus rows and other rendered sections may not exist yet when a
+        // result on another page is opened
+        if (window.location.hash && !document.getElementById(decodeURIComponent(window.location.hash.slice(1)))) {
+            this.pendingHash = decodeURIComponent(window.location.hash.slice(1));
+            document.addEventListener('koncept:rendered', () => this.revealPendingHash());
+        }
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(utils.resolveUrl(this.source))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Unexpected response ${response.status} for ${this.source}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.entries = (data.entries || []).map(entry => ({
+                        ...entry,
+                        words: {
+                            title: SiteSearch.tokenize(entry.title),
+                            keywords: SiteSearch.tokenize((entry.keywords || []).join(' ')),
+                            text: SiteSearch.tokenize(entry.text || '')
+                        }
+                    }));
+                    return this.entries;
+                })
+                .catch(error => {
+                    console.error('Search index failed to load:', error);
+                    this.loading = null;
+                    return [];
+                });
+        }
+        return this.loading;
+    }
+
+    // Lowercase words with accents removed, so "francais" finds "Français"
+    static tokenize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    // Levenshtein distance, giving up once it exceeds max
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            if (Math.min(...current) > max) {
+                return max + 1;
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // How well one query term matches one word, 0 to 1
+    static matchWord(term, word) {
+        if (word === term) {
+            return 1;
+        }
+        if (word.startsWith(term)) {
+            return 0.8;
+        }
+        if (term.length < 4) {
+            return 0;
+        }
+        if (word.includes(term)) {
+            return 0.5;
+        }
+
+        const allowed = term.length >= 7 ? 2 : 1;
+        if (SiteSearch.editDistance(term, word, allowed) <= allowed) {
+            return 0.4;
+        }
+        // A typo in a word that is still being typed
+        return SiteSearch.editDistance(term, word.slice(0, term.length), allowed) <= allowed ? 0.3 : 0;
+    }
+
+    // Every term has to match somewhere; each adds its best weighted match
+    static score(entry, terms) {
+        let total = 0;
+        for (const term of terms) {
+            let best = 0;
+            Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+                entry.words[field].forEach(word => {
+                    best = Math.max(best, SiteSearch.matchWord(term, word) * weight);
+                });
+            });
+            if (best === 0) {
+                return 0;
+            }
+            total += best;
+        }
+        return total;
+    }
+
+    async search(query) {
+        const terms = SiteSearch.tokenize(query);
+        if (!terms.length) {
+            this.results = [];
+            this.close();
+            return;
+        }
+
+        const entries = await this.load();
+        // The reader kept typing (or cleared the box) while the index loaded
+        if (query !== this.input.value) {
+            return;
+        }
+
+        this.results = entries
+            .map(entry => ({ entry, score: SiteSearch.score(entry, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SEARCH_RESULT_LIMIT)
+            .map(result => result.entry);
+        this.activeIndex = -1;
+        this.render(query);
+    }
+
+    getPageTitle(entry) {
+        const page = entry.url.split('#')[0];
+        const pageEntry = this.entries.find(candidate => candidate.type === 'page' && candidate.url === page);
+        return pageEntry ? pageEntry.title : page;
+    }
+
+    render(query) {
+        const e = utils.escapeHtml;
+        const t = (key, params, fallback) => this.i18n.t(`search.${key}`, params, fallback);
+
+        if (!this.results.length) {
+            this.list.innerHTML = `<li class="site-search-empty">${e(t('noResults', { query }, 'No results for "{query}"'))}</li>`;
+        } else {
+            this.list.innerHTML = this.results.map((entry, index) => `
+                <li role="option" id="site-search-option-${index}" class="site-search-result" data-index="${index}" aria-selected="false">
+                    <span class="site-search-title">${e(entry.title)}</span>
+                    <span class="site-search-meta">${e(t(`types.${entry.type}`, {}, entry.type))} · ${e(this.getPageTitle(entry))}</span>
+                </li>
+            `).join('');
+        }
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(t('count', { count: this.results.length }, '{count} results'));
+        }
+    }
+
+    close() {
+        if (!this.list || this.list.hidden) {
+            return;
+        }
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    setActive(index) {
+        const options = [...this.list.querySelectorAll('[role="option"]')];
+        if (!options.length) {
+            return;
+        }
+
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === this.activeIndex));
+        });
+        this.input.setAttribute('aria-activedescendant', options[this.activeIndex].id);
+        options[this.activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+        const open = !this.list.hidden;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!open) {
+                this.search(this.input.value);
+                return;
+            }
+            this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Escape' && open) {
+            // Keep the mobile menu open, only the results close
+            e.stopPropagation();
+            this.close();
+        }
+    }
+
+    go(entry) {
+        if (!entry) {
+            return;
+        }
+
+        const url = new URL(utils.resolveUrl(entry.url));
+        this.close();
+
+        if (url.pathname !== window.location.pathname) {
+            window.location.href = url.href;
+            return;
+        }
+
+        this.navigation.closeMobileMenu();
+        if (url.hash) {
+            this.reveal(decodeURIComponent(url.hash.slice(1)));
+        } else {
+            window.scrollTo({ top: 0, behavior: utils.scrollBehavior() });
+        }
+    }
+
+    // Record the section in the URL and let tabs and accordions open it
+    // before scrolling there and moving focus to it
+    reveal(id) {
+        const target = document.getElementById(id);
+        if (!target) {
+            return;
+        }
+
+        const oldURL = window.location.href;
+        window.history.pushState(null, '', `#${id}`);
+        window.dispatchEvent(new HashChangeEvent('hashchange', { oldURL, newURL: window.location.href }));
+
+        utils.smoothScrollTo(target);
+        if (!target.hasAttribute('tabindex')) {
+            target.tabIndex = -1;
+        }
+        target.focus({ preventScroll: true });
+    }
+
+    revealPendingHash() {
+        const target = this.pendingHash && document.getElementById(this.pendingHash);
+        if (target) {
+            this.pendingHash = null;
+            utils.smoothScrollTo(target);
+        }
+    }
+}
+
+// Offline Manager
+// Registers the service worker (sw.js) that keeps pages and data readable
+// offline, shows a banner while the connection is down listing how old
+// the cached data is, and queues submissions that cannot be sent: the
+// newsletter adapter and the analytics beacons hand them to enqueue()/send()
+// and they are replayed, oldest first, when the browser comes back online.
+const OFFLINE_DATA_SOURCES = [
+    { path: 'data/bonuses.json', key: 'bonuses', label: 'Bonus offers' },
+    { path: 'data/casinos.json', key: 'casinos', label: 'Casino details' },
+    { path: 'data/reviews.json', key: 'reviews', label: 'Review scores' },
+    { path: 'data/payments.json', key: 'payments', label: 'Payment methods' }
+];
+
+class OfflineManager {
+    constructor(i18n, consent, options = SITE_CONFIG.offline) {
+        this.i18n = i18n;
+        this.consent = consent;
+        this.options = options;
+        this.storageKey = 'offline-queue';
+        this.banner = null;
+        this.replaying = false;
+        this.init();
+    }
+
+    init() {
+        this.registerServiceWorker();
+
+        if (!navigator.onLine) {
+            this.showBanner();
+        } else if (this.getQueue().length) {
+            this.replay();
+        }
+
+        // Beacons queued before consent was withdrawn are not sent later
+        document.addEventListener('koncept:consent-changed', (e) => {
+            if (e.detail.revoked.length) {
+                this.saveQueue(this.getQueue().filter(entry => entry.type !== 'beacon' || this.consent.has(entry.category)));
+            }
+        });
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`offline.${key}`, params, fallback);
+    }
+
+    registerServiceWorker() {
+        if (!this.options.serviceWorker || !('serviceWorker' in navigator) || !window.isSecureContext) {
+            return;
+        }
+
+        navigator.serviceWorker.register(utils.resolveUrl(this.options.serviceWorker), { scope: SITE_ROOT })
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
+    // Called from KonceptGaming's online/offline listeners
+    handleConnectionChange(online) {
+        if (online) {
+            this.hideBanner();
+            this.replay();
+        } else {
+            this.showBanner();
+        }
+    }
+
+    getQueue() {
+        try {
+            return JSON.parse(this.consent.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue(queue) {
+        if (queue.length) {
+            this.consent.setItem(this.storageKey, JSON.stringify(queue));
+        } else {
+            this.consent.removeItem(this.storageKey);
+        }
+    }
+
+    // { type, url, body, headers } where body is already a string
+    enqueue(entry) {
+        const queue = [...this.getQueue(), { ...entry, queuedAt: Date.now() }];
+        this.saveQueue(queue.slice(-this.options.queueLimit));
+    }
+
+    // Fire-and-forget POST for analytics; dropped without the reader's
+    // consent to category, held back while offline
+    send(url, body, category = 'analytics') {
+        if (!this.consent.has(category)) {
+            return;
+        }
+        if (!navigator.onLine) {
+            this.enqueue({ type: 'beacon', category, url, body });
+            return;
+        }
+
+        // A plain string is sent as text/plain, which needs no CORS preflight
+        if (navigator.sendBeacon && navigator.sendBeacon(url, body)) {
+            return;
+        }
+        fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {
+            this.enqueue({ type: 'beacon', category, url, body });
+        });
+    }
+
+    // Stops at the first network failure so the rest keep their order;
+    // anything the server rejects outright is dropped
+    async replay() {
+        if (this.replaying || !navigator.onLine) {
+            return;
+        }
+        this.replaying = true;
+
+        const queue = this.getQueue();
+        let newsletter = false;
+
+        while (queue.length) {
+            const entry = queue[0];
+            try {
+                const response = await fetch(entry.url, { method: 'POST', headers: entry.headers, body: entry.body });
+                if (response.status >= 500) {
+                    break;
+                }
+                if (response.ok && entry.type === 'newsletter') {
+                    newsletter = true;
+                }
+            } catch (error) {
+                break;
+            }
+            queue.shift();
+            this.saveQueue(queue);
+        }
+
+        this.replaying = false;
+
+        if (newsletter && window.announceToScreenReader) {
+            window.announceToScreenReader(this.t('newsletterSent', {}, 'Your newsletter signup was sent. Check your inbox to confirm it.'));
+        }
+    }
+
+    // When each data file was cached, or null if it is not available offline
+    async getCachedDates() {
+        if (!('caches' in window)) {
+            return OFFLINE_DATA_SOURCES.map(source => ({ ...source, cachedAt: null }));
+        }
+
+        return Promise.all(OFFLINE_DATA_SOURCES.map(async source => {
+            const response = await caches.match(utils.resolveUrl(source.path), { ignoreSearch: true }).catch(() => null);
+            const cachedAt = response && response.headers.get('X-Koncept-Cached-At');
+            return { ...source, cachedAt: cachedAt ? new Date(cachedAt) : null };
+        }));
+    }
+
+    formatAge(date) {
+        const minutes = Math.round((date - Date.now()) / 60000);
+        const [value, unit] = Math.abs(minutes) >= 1440
+            ? [Math.round(minutes / 1440), 'day']
+            : Math.abs(minutes) >= 60 ? [Math.round(minutes / 60), 'hour'] : [minutes, 'minute'];
+        return new Intl.RelativeTimeFormat(this.i18n.currentLanguage, { numeric: 'auto' }).format(value, unit);
+    }
+
+    async showBanner() {
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'offline-banner';
+            this.banner.setAttribute('role', 'status');
+            const skipLink = document.querySelector('.skip-link');
+            document.body.insertBefore(this.banner, skipLink ? skipLink.nextSibling : document.body.firstChild);
+        }
+
+        const e = utils.escapeHtml;
+        const sources = await this.getCachedDates();
+        const items = sources.map(source => {
+            const label = this.t(`data.${source.key}`, {}, source.label);
+            const status = source.cachedAt
+                ? this.t('savedAt', { age: this.formatAge(source.cachedAt) }, 'saved {age}, may be out of date')
+                : this.t('notSaved', {}, 'not available offline');
+            return `<li><strong>${e(label)}</strong>: ${e(status)}</li>`;
+        }).join('');
+
+        this.banner.innerHTML = `
+            <p>${e(this.t('message', {}, 'You are offline. Pages you have saved are still available, and forms will be sent once you reconnect.'))}</p>
+            <ul>${items}</ul>
+        `;
+        this.banner.hidden = false;
+        document.body.classList.add('is-offline');
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.hidden = true;
+        }
+        document.body.classList.remove('is-offline');
+    }
+}
+
+// Payment Finder
+// Payment methods are described once in data/payments.json: deposit and
+// withdrawal times as hour ranges, a fee model ('free', 'percent', a
+// 'flat' min-max range, or 'network' when the blockchain sets the fee),
+// deposit limits in the reader's own dollars, availability per country
+// ('available' | 'limited' | 'unavailable') and a privacy level.
+// Amounts are shown in the currency of the country picked in the finder.
+//   [data-payment-table]   - one comparison table row per method
+//   [data-payment-finder]  - country, amount and priority controls; the
+//                            methods that fit are ranked into
+//                            [data-payment-results]
+const PAYMENT_PRIORITIES = ['speed', 'fees', 'privacy'];
+const PAYMENT_PRIVACY_LEVELS = { low: 0, medium: 1, high: 2 };
+const PAYMENT_CURRENCIES = { US: 'USD', CA: 'CAD' };
+const PAYMENT_DEFAULT_AMOUNT = 100;
+
+class PaymentFinder {
+    constructor(i18n, source = 'data/payments.json') {
+        this.i18n = i18n;
+        this.source = source;
+        this.table = document.querySelector('[data-payment-table]');
+        this.form = document.querySelector('[data-payment-finder]');
+        this.results = document.querySelector('[data-payment-results]');
+        this.methods = [];
+        this.criteria = {
+            country: /-CA$/.test(i18n.currentLanguage) ? 'CA' : 'US',
+            amount: PAYMENT_DEFAULT_AMOUNT,
+            priority: PAYMENT_PRIORITIES[0]
+        };
+        this.init();
+    }
+
+    async init() {
+        if (!this.table && !this.form) {
+            return;
+        }
+
+        try {
+            const [payments] = await Promise.all([this.fetchJson(this.source), this.i18n.ready]);
+            this.methods = payments.methods || [];
+        } catch (error) {
+            console.error('Payment method data failed to load:', error);
+            return;
+        }
+
+        if (this.form) {
+            this.form.addEventListener('input', () => this.readControls());
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+        }
+
+        // Durations and fees are formatted for the locale, re-render on switch
+        document.addEventListener('koncept:language-changed', () => this.render());
+
+        this.render();
+    }
+
+    async fetchJson(path) {
+        const url = utils.resolveUrl(path);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Unexpected response ${response.status} for ${url}`);
+        }
+        return response.json();
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`payments.finder.${key}`, params, fallback);
+    }
+
+    // Estimated fee for one deposit of amount, null when it isn't known up front
+    static cost(method, amount) {
+        const { fees } = method;
+        switch (fees.model) {
+            case 'percent':
+                return amount * fees.percent / 100;
+            case 'flat':
+                return (fees.min + fees.max) / 2;
+            case 'network':
+                return null;
+            default:
+                return 0;
+        }
+    }
+
+    // Sort keys for each priority, lower is better
+    static sortKey(method, priority, amount) {
+        switch (priority) {
+            case 'fees': {
+                // Methods with an unknown fee rank after every known one
+                const cost = PaymentFinder.cost(method, amount);
+                return cost === null ? Number.MAX_VALUE : cost;
+            }
+            case 'privacy':
+                return -(PAYMENT_PRIVACY_LEVELS[method.privacy] || 0);
+            default:
+                return method.withdrawal.maxHours;
+        }
+    }
+
+    // The reader's priority decides the order, the other two break ties
+    static compare(a, b, priority, amount) {
+        const order = [priority, ...PAYMENT_PRIORITIES.filter(key => key !== priority)];
+        for (const key of order) {
+            const difference = PaymentFinder.sortKey(a, key, amount) - PaymentFinder.sortKey(b, key, amount);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+
+    // Why a method doesn't fit the criteria, or null when it does
+    getExclusion(method) {
+        const { country, amount } = this.criteria;
+        const { limits } = method;
+        const currency = PAYMENT_CURRENCIES[country];
+
+        if (method.availability[country] === 'unavailable') {
+            return this.t('notInCountry', { country: this.getCountryLabel(country) }, 'not available in {country}');
+        }
+        if (amount < limits.min) {
+            return this.t('belowMin', { amount: this.formatAmount(limits.min, currency) }, 'minimum deposit {amount}');
+        }
+        if (amount > limits.max) {
+            return this.t('aboveMax', { amount: this.formatAmount(limits.max, currency) }, 'maximum deposit {amount}');
+        }
+        return null;
+    }
+
+    rank() {
+        const ranked = [];
+        const excluded = [];
+
+        this.methods.forEach(method => {
+            const reason = this.getExclusion(method);
+            if (reason) {
+                excluded.push({ method, reason });
+            } else {
+                ranked.push(method);
+            }
+        });
+
+        ranked.sort((a, b) => PaymentFinder.compare(a, b, this.criteria.priority, this.criteria.amount));
+        return { ranked, excluded };
+    }
+
+    getCountryLabel(country) {
+        return country === 'CA' ? this.t('countries.CA', {}, 'Canada') : this.t('countries.US', {}, 'the United States');
+    }
+
+    formatAmount(amount, currency) {
+        return this.i18n.formatCurrency(amount, currency);
+    }
+
+    formatRange(min, max) {
+        const format = value => this.i18n.formatNumber(value, { maximumFractionDigits: 0 });
+        return min === max ? format(max) : `${format(min)}–${format(max)}`;
+    }
+
+    // 0 -> Instant, up to an hour in minutes, up to two days in hours, then days
+    formatDuration({ minHours, maxHours }) {
+        if (maxHours === 0) {
+            return this.t('instant', {}, 'Instant');
+        }
+        if (maxHours <= 1) {
+            return this.t('minutes', { range: this.formatRange(minHours * 60, maxHours * 60) }, '{range} min');
+        }
+        if (maxHours <= 48) {
+            return this.t('hours', { range: this.formatRange(minHours, maxHours) }, '{range} hours');
+        }
+        return this.t('days', { range: this.formatRange(minHours / 24, maxHours / 24) }, '{range} days');
+    }
+
+    formatFee(method) {
+        const { fees } = method;
+        const currency = PAYMENT_CURRENCIES[this.criteria.country];
+        switch (fees.model) {
+            case 'percent':
+                return this.i18n.formatNumber(fees.percent / 100, { style: 'percent', maximumFractionDigits: 1 });
+            case 'flat':
+                return `${this.formatAmount(fees.min, currency)}–${this.formatAmount(fees.max, currency)}`;
+            case 'network':
+                return this.t('networkFee', {}, 'Network fee');
+            default:
+                return this.t('free', {}, 'Free');
+        }
+    }
+
+    renderAvailability(status) {
+        const e = utils.escapeHtml;
+        const labels = {
+            available: ['✓', this.t('availability.available', {}, 'Available')],
+            limited: [this.t('availability.limited', {}, 'Limited'), null],
+            unavailable: ['✗', this.t('availability.unavailable', {}, 'Not available')]
+        };
+        const [symbol, label] = labels[status] || labels.unavailable;
+        return label
+            ? `<span class="${e(status)}" aria-hidden="true">${e(symbol)}</span><span class="sr-only">${e(label)}</span>`
+            : `<span class="${e(status)}">${e(symbol)}</span>`;
+    }
+
+    renderTable() {
+        const e = utils.escapeHtml;
+        const currency = PAYMENT_CURRENCIES[this.criteria.country];
+
+        this.table.innerHTML = this.methods.map(method => {
+            const deposit = this.formatDuration(method.deposit);
+            const withdrawal = this.formatDuration(method.withdrawal);
+            const { limits } = method;
+
+            return `
+                <tr>
+                    <td>
+                        <div class="method-name">
+                            <span class="icon" aria-hidden="true">${e(method.icon)}</span>
+                            <span>${e(method.name)}</span>
+                        </div>
+                    </td>
+                    <td>${method.deposit.maxHours === 0 ? `<span class="instant">${e(deposit)}</span>` : e(deposit)}</td>
+                    <td>${method.withdrawal.maxHours <= 24 ? `<span class="fast">${e(withdrawal)}</span>` : e(withdrawal)}</td>
+                    <td>${e(this.formatAmount(limits.min, currency))}</td>
+                    <td>${e(this.formatAmount(limits.max, currency))}</td>
+                    <td>${e(this.formatFee(method))}</td>
+                    <td>${this.renderAvailability(method.availability.US)}</td>
+                    <td>${this.renderAvailability(method.availability.CA)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderControls() {
+        const e = utils.escapeHtml;
+        const { country, amount, priority } = this.criteria;
+        const priorities = {
+            speed: this.t('priorities.speed', {}, 'Fastest withdrawal'),
+            fees: this.t('priorities.fees', {}, 'Lowest fees'),
+            privacy: this.t('priorities.privacy', {}, 'Most private')
+        };
+
+        this.form.innerHTML = `
+            <div class="finder-controls">
+                <div class="finder-field">
+                    <label for="payment-country">${e(this.t('country', {}, 'Where do you play?'))}</label>
+                    <select id="payment-country" name="country">
+                        <option value="US"${country === 'US' ? ' selected' : ''}>${e(this.t('countryOptions.US', {}, 'United States'))}</option>
+                        <option value="CA"${country === 'CA' ? ' selected' : ''}>${e(this.t('countryOptions.CA', {}, 'Canada'))}</option>
+                    </select>
+                </div>
+                <div class="finder-field">
+                    <label for="payment-amount">${e(this.getAmountLabel(country))}</label>
+                    <input type="number" id="payment-amount" name="amount" min="1" step="1" inputmode="numeric" value="${e(amount)}" />
+                </div>
+                <fieldset class="finder-priority">
+                    <legend>${e(this.t('priority', {}, 'What matters most?'))}</legend>
+                    ${PAYMENT_PRIORITIES.map(key => `
+                        <label>
+                            <input type="radio" name="priority" value="${e(key)}"${key === priority ? ' checked' : ''} />
+                            ${e(priorities[key])}
+                        </label>
+                    `).join('')}
+                </fieldset>
+            </div>
+        `;
+    }
+
+    getAmountLabel(country) {
+        return this.t('amount', { currency: PAYMENT_CURRENCIES[country] }, 'Deposit amount ({currency})');
+    }
+
+    readControls() {
+        const { elements } = this.form;
+        const amount = parseFloat(elements.amount.value);
+
+        this.criteria = {
+            country: elements.country.value,
+            amount: amount > 0 ? amount : PAYMENT_DEFAULT_AMOUNT,
+            priority: elements.priority.value || PAYMENT_PRIORITIES[0]
+        };
+        this.form.querySelector('label[for="payment-amount"]').textContent = this.getAmountLabel(this.criteria.country);
+        if (this.table) {
+            this.renderTable();
+        }
+        const summary = this.renderResults();
+
+        if (summary && window.announceToScreenReader) {
+            window.announceToScreenReader(summary);
+        }
+    }
+
+    renderResult(method, index) {
+        const e = utils.escapeHtml;
+        const { country, amount } = this.criteria;
+        const currency = PAYMENT_CURRENCIES[country];
+        const fee = PaymentFinder.cost(method, amount);
+        const feeText = fee === null || method.fees.model === 'free'
+            ? this.formatFee(method)
+            : `${method.fees.model === 'percent' ? '' : '≈ '}${this.formatAmount(Math.round(fee * 100) / 100, currency)}`;
+
+        return `
+            <li class="payment-result">
+                <div class="payment-result-header">
+                    <span class="payment-rank">#${index + 1}</span>
+                    <span class="icon" aria-hidden="true">${e(method.icon)}</span>
+                    <h3><a href="#${e(method.section)}">${e(method.name)}</a></h3>
+                    ${method.availability[country] === 'limited'
+                        ? `<span class="payment-limited">${e(this.t('limitedIn', { country: this.getCountryLabel(country) }, 'Limited in {country}'))}</span>`
+                        : ''}
+                </div>
+                <dl class="payment-result-stats">
+                    <div>
+                        <dt>${e(this.t('withdrawal', {}, 'Withdrawal'))}</dt>
+                        <dd>${e(this.formatDuration(method.withdrawal))}</dd>
+                    </div>
+                    <div>
+                        <dt>${e(this.t('feeOn', { amount: this.formatAmount(amount, currency) }, 'Fee on {amount}'))}</dt>
+                        <dd>${e(feeText)}</dd>
+                    </div>
+                    <div>
+                        <dt>${e(this.t('privacyLabel', {}, 'Privacy'))}</dt>
+                        <dd>${e(this.t(`privacyLevels.${method.privacy}`, {}, method.privacy))}</dd>
+                    </div>
+                </dl>
+            </li>
+        `;
+    }
+
+    renderResults() {
+        if (!this.results) {
+            return null;
+        }
+
+        const e = utils.escapeHtml;
+        const { ranked, excluded } = this.rank();
+        const summary = this.t('summary', {
+            count: ranked.length,
+            amount: this.formatAmount(this.criteria.amount, PAYMENT_CURRENCIES[this.criteria.country]),
+            country: this.getCountryLabel(this.criteria.country)
+        }, '{count} methods work for a {amount} deposit in {country}');
+
+        this.results.innerHTML = `
+            <p class="payment-results-summary">${e(summary)}</p>
+            ${ranked.length ? `<ol class="payment-results-list">${ranked.map((method, index) => this.renderResult(method, index)).join('')}</ol>` : ''}
+            ${excluded.length ? `
+                <p class="payment-excluded">
+                    ${e(this.t('excluded', {}, 'Not shown:'))}
+                    ${excluded.map(({ method, reason }) => `${e(method.name)} (${e(reason)})`).join(', ')}
+                </p>
+            ` : ''}
+        `;
+        return summary;
+    }
+
+    render() {
+        if (this.table) {
+            this.renderTable();
+        }
+        if (this.form) {
+            this.renderControls();
+            this.renderResults();
+        }
+    }
+}
+
+// Canadian provinces and territories offered in the age gate
+const CA_PROVINCES = {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories',
+    NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec',
+    SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+// Legal gambling age by country, with regional exceptions as 'CA-QC'
+const MINIMUM_AGES = { US: 21, CA: 19, 'CA-AB': 18, 'CA-MB': 18, 'CA-QC': 18, OTHER: 18 };
+
+// Problem gambling helplines, keyed the same way. Canada has no national
+// line, so provinces without one here get a generic pointer instead.
+const HELPLINES = { US: '1-800-GAMBLER', 'CA-ON': '1-866-531-2600', 'CA-QC': '1-800-461-0140' };
+
+// Age Gate
+// Before any offer is shown the reader confirms where they are (country
+// plus state or province) and that they are of legal gambling age there.
+// The answer is kept for SITE_CONFIG.ageGate.rememberDays. Until it is
+// given, and for readers who decline or are in a restricted region (US
+// states without legal online casinos, or SITE_CONFIG.ageGate.restricted),
+// offer containers ([data-bonus-catalog], [data-bonus-offer],
+// [data-age-gated]) are replaced by a notice and claim links and bonus
+// filters are hidden. Pages without offers never show the gate.
+const AGE_GATED_SELECTOR = '[data-bonus-catalog], [data-bonus-offer], [data-age-gated]';
+const AGE_GATED_LINK_SELECTOR = '.btn-claim, [data-outbound], [data-bonus-filter]';
+
+class AgeGate {
+    constructor(stateManager, i18n, consent, options = SITE_CONFIG.ageGate) {
+        this.stateManager = stateManager;
+        this.i18n = i18n;
+        this.consent = consent;
+        this.options = options;
+        this.storageKey = 'age-gate';
+        this.answer = this.loadAnswer();
+        this.dialog = null;
+        this.form = null;
+        this.notices = new Map();
+        this.lastFocus = null;
+        this.init();
+    }
+
+    init() {
+        if (!document.querySelector(`${AGE_GATED_SELECTOR}, ${AGE_GATED_LINK_SELECTOR}`)) {
+            return;
+        }
+
+        this.apply(document);
+
+        document.addEventListener('koncept:rendered', (e) => {
+            this.apply(e.detail.root);
+        });
+
+        // Picking another state elsewhere on the site moves a US answer with it
+        document.addEventListener('koncept:state-changed', (e) => {
+            const { state } = e.detail;
+            if (state && this.answer && this.answer.status === 'confirmed' && this.answer.jurisdiction.startsWith('US-')
+                && this.answer.jurisdiction !== `US-${state}`) {
+                this.saveAnswer('confirmed', `US-${state}`, this.answer.expires);
+                this.apply(document);
+            }
+        });
+
+        document.addEventListener('koncept:language-changed', () => {
+            this.apply(document);
+            if (this.dialog && !this.dialog.hidden) {
+                const focused = this.form.contains(document.activeElement) ? document.activeElement.name : null;
+                this.renderForm(this.readJurisdiction(), { focus: focused || null });
+            }
+        });
+
+        if (this.getStatus() === 'pending') {
+            this.open();
+        }
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`ageGate.${key}`, params, fallback);
+    }
+
+    // 'pending' (no answer yet, or it has expired), 'declined', 'restricted' or 'allowed'
+    getStatus() {
+        if (!this.answer) {
+            return 'pending';
+        }
+        if (this.answer.status === 'declined') {
+            return 'declined';
+        }
+        return this.isRestricted(this.answer.jurisdiction) ? 'restricted' : 'allowed';
+    }
+
+    isAllowed() {
+        return this.getStatus() === 'allowed';
+    }
+
+    static getMinimumAge(jurisdiction) {
+        const [country] = jurisdiction.split('-');
+        return MINIMUM_AGES[jurisdiction] || MINIMUM_AGES[country] || MINIMUM_AGES.OTHER;
+    }
+
+    // Phone number, or null when we have none for the jurisdiction
+    static getHelpline(jurisdiction) {
+        const [country] = jurisdiction.split('-');
+        return HELPLINES[jurisdiction] || HELPLINES[country] || null;
+    }
+
+    isRestricted(jurisdiction) {
+        const [country, region] = jurisdiction.split('-');
+        if ((this.options.restricted || []).includes(jurisdiction)) {
+            return true;
+        }
+        return country === 'US' && !LEGAL_CASINO_STATES.includes(region);
+    }
+
+    getRegionName(jurisdiction) {
+        const [country, region] = jurisdiction.split('-');
+        if (country === 'US') {
+            return US_STATES[region] || region;
+        }
+        if (country === 'CA') {
+            return CA_PROVINCES[region] || region;
+        }
+        return this.t('otherRegion', {}, 'your country');
+    }
+
+    loadAnswer() {
+        try {
+            const saved = JSON.parse(this.consent.getItem(this.storageKey));
+            if (saved && typeof saved.jurisdiction === 'string' && saved.expires > Date.now()) {
+                return saved;
+            }
+        } catch (error) {
+            // An unreadable answer is asked again
+        }
+        this.consent.removeItem(this.storageKey);
+        return null;
+    }
+
+    saveAnswer(status, jurisdiction, expires = Date.now() + this.options.rememberDays * 24 * 60 * 60 * 1000) {
+        this.answer = { status, jurisdiction, expires };
+        this.consent.setItem(this.storageKey, JSON.stringify(this.answer));
+
+        document.dispatchEvent(new CustomEvent('koncept:age-gate-changed', {
+            detail: { status: this.getStatus(), jurisdiction, minimumAge: AgeGate.getMinimumAge(jurisdiction) }
+        }));
+    }
+
+    // Hide offers (outermost containers only) behind a notice unless allowed
+    apply(root) {
+        const status = this.getStatus();
+        const blocked = status !== 'allowed';
+        const containers = [...(root.matches && root.matches(AGE_GATED_SELECTOR) ? [root] : []), ...root.querySelectorAll(AGE_GATED_SELECTOR)]
+            .filter(element => !element.parentElement.closest(AGE_GATED_SELECTOR));
+
+        containers.forEach(container => {
+            container.hidden = blocked;
+
+            let notice = this.notices.get(container);
+            if (blocked && !notice) {
+                notice = document.createElement('div');
+                notice.className = 'age-gate-notice';
+                container.before(notice);
+                this.notices.set(container, notice);
+
+                notice.addEventListener('click', (e) => {
+                    if (e.target.closest('[data-age-gate-open]')) {
+                        this.open();
+                    }
+                });
+            }
+            if (notice) {
+                notice.hidden = !blocked;
+                if (blocked) {
+                    notice.innerHTML = this.renderNotice(status);
+                }
+            }
+        });
+
+        root.querySelectorAll(AGE_GATED_LINK_SELECTOR).forEach(element => {
+            element.hidden = blocked;
+        });
+    }
+
+    renderNotice(status) {
+        const e = utils.escapeHtml;
+        const responsible = utils.resolveUrl('pages/responsible-gambling.html');
+
+        if (status === 'declined') {
+            return `
+                <p>${e(this.t('declinedNotice', {}, 'Casino offers are only shown to readers of legal gambling age.'))}</p>
+                <a href="${e(responsible)}">${e(this.t('responsible', {}, 'Responsible gambling'))}</a>
+            `;
+        }
+        if (status === 'restricted') {
+            return `
+                <p>${e(this.t('restrictedNotice', { region: this.getRegionName(this.answer.jurisdiction) }, 'Casino offers aren\'t available in {region}.'))}</p>
+                <button type="button" class="btn btn-outline" data-age-gate-open>${e(this.t('changeLocation', {}, 'Change location'))}</button>
+            `;
+        }
+        return `
+            <p>${e(this.t('pendingNotice', {}, 'Confirm your age and location to see casino offers.'))}</p>
+            <button type="button" class="btn btn-primary" data-age-gate-open>${e(this.t('confirmLocation', {}, 'Confirm age and location'))}</button>
+        `;
+    }
+
+    // Previous answer, then the reader's chosen state, then their locale
+    getDefaultJurisdiction() {
+        if (this.answer) {
+            return this.answer.jurisdiction;
+        }
+        if (this.stateManager && this.stateManager.currentState) {
+            return `US-${this.stateManager.currentState}`;
+        }
+        return /-CA$/.test(this.i18n.currentLanguage) ? 'CA' : 'US';
+    }
+
+    readJurisdiction() {
+        const { country, region } = this.form.elements;
+        return country.value === 'OTHER' || !region.value ? country.value : `${country.value}-${region.value}`;
+    }
+
+    open() {
+        if (!this.dialog) {
+            this.dialog = document.createElement('div');
+            this.dialog.className = 'age-gate';
+            this.dialog.setAttribute('role', 'dialog');
+            this.dialog.setAttribute('aria-modal', 'true');
+            this.dialog.setAttribute('aria-labelledby', 'age-gate-title');
+            this.dialog.setAttribute('aria-describedby', 'age-gate-description');
+            this.dialog.hidden = true;
+            this.dialog.innerHTML = '<form class="age-gate-panel"></form>';
+            document.body.appendChild(this.dialog);
+            this.form = this.dialog.querySelector('form');
+
+            this.form.addEventListener('change', (e) => {
+                if (e.target.name === 'country') {
+                    this.renderForm(e.target.value, { focus: 'country' });
+                } else {
+                    this.updateAgeText();
+                }
+            });
+
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.confirm();
+            });
+
+            this.form.addEventListener('click', (e) => {
+                if (e.target.closest('[data-age-gate-decline]')) {
+                    this.decline();
+                }
+            });
+
+            // There is no way around the gate, so Tab stays inside it
+            this.dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab') {
+                    this.trapFocus(e);
+                }
+            });
+        }
+
+        this.lastFocus = document.activeElement;
+        this.renderForm(this.getDefaultJurisdiction());
+        this.dialog.hidden = false;
+        document.body.classList.add('age-gate-open');
+        this.form.elements.country.focus();
+    }
+
+    close() {
+        this.dialog.hidden = true;
+        document.body.classList.remove('age-gate-open');
+        if (this.lastFocus && this.lastFocus.isConnected && this.lastFocus !== document.body) {
+            this.lastFocus.focus();
+        }
+    }
+
+    renderForm(jurisdiction, { focus = null } = {}) {
+        const e = utils.escapeHtml;
+        const [country, region] = jurisdiction.split('-');
+        const regions = { US: US_STATES, CA: CA_PROVINCES }[country];
+        const countries = {
+            US: this.t('countries.US', {}, 'United States'),
+            CA: this.t('countries.CA', {}, 'Canada'),
+            OTHER: this.t('countries.OTHER', {}, 'Another country')
+        };
+        const days = this.options.rememberDays;
+
+        this.form.innerHTML = `
+            <h2 id="age-gate-title">${e(this.t('title', {}, 'Confirm your age and location'))}</h2>
+            <p id="age-gate-description">${e(this.t('description', {}, 'Koncept Gaming lists real-money casino offers. Tell us where you are so we can apply the legal gambling age there.'))}</p>
+            <div class="age-gate-field">
+                <label for="age-gate-country">${e(this.t('country', {}, 'Country'))}</label>
+                <select id="age-gate-country" name="country">
+                    ${Object.entries(countries).map(([code, label]) => `
+                        <option value="${code}"${code === country ? ' selected' : ''}>${e(label)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="age-gate-field"${regions ? '' : ' hidden'}>
+                <label for="age-gate-region">${e(country === 'CA' ? this.t('province', {}, 'Province or territory') : this.t('state', {}, 'State'))}</label>
+                <select id="age-gate-region" name="region"${regions ? ' required' : ''}>
+                    <option value="">${e(this.t('select', {}, 'Select…'))}</option>
+                    ${Object.entries(regions || {}).map(([code, name]) => `
+                        <option value="${code}"${code === region ? ' selected' : ''}>${e(name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <p class="age-gate-age" aria-live="polite"></p>
+            <div class="age-gate-actions">
+                <button type="submit" class="btn btn-primary" data-age-gate-confirm></button>
+                <button type="button" class="btn btn-outline" data-age-gate-decline></button>
+            </div>
+            <p class="age-gate-note">
+                ${e(days === 1
+                    ? this.t('rememberOne', {}, 'We remember your answer on this device for a day.')
+                    : this.t('remember', { days }, 'We remember your answer on this device for {days} days.'))}
+                <a href="${e(utils.resolveUrl('pages/responsible-gambling.html'))}">${e(this.t('responsible', {}, 'Responsible gambling'))}</a>
+            </p>
+        `;
+
+        this.updateAgeText();
+        if (focus) {
+            this.form.elements[focus].focus();
+        }
+    }
+
+    // The age, and both buttons, follow the selected jurisdiction
+    updateAgeText() {
+        const jurisdiction = this.readJurisdiction();
+        const age = AgeGate.getMinimumAge(jurisdiction);
+        const [country, region] = jurisdiction.split('-');
+        const text = country === 'OTHER' || region
+            ? this.t('ageRequirement', { age, region: this.getRegionName(jurisdiction) }, 'You must be {age} or older to view casino offers in {region}.')
+            : this.t('ageSelectRegion', { age }, 'The legal age is {age} or older in most of this country. Select where you are to check.');
+
+        this.form.querySelector('.age-gate-age').textContent = text;
+        this.form.querySelector('[data-age-gate-confirm]').textContent = this.t('confirm', { age }, 'I\'m {age} or older');
+        this.form.querySelector('[data-age-gate-decline]').textContent = this.t('decline', { age }, 'I\'m under {age}');
+    }
+
+    confirm() {
+        const jurisdiction = this.readJurisdiction();
+        const [country, region] = jurisdiction.split('-');
+
+        this.saveAnswer('confirmed', jurisdiction);
+        this.close();
+        if (country === 'US' && this.stateManager && this.stateManager.currentState !== region) {
+            this.stateManager.setState(region);
+        }
+        this.apply(document);
+
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(this.isAllowed()
+                ? this.t('allowedAnnouncement', {}, 'Thanks. Casino offers are now shown.')
+                : this.t('restrictedNotice', { region: this.getRegionName(jurisdiction) }, 'Casino offers aren\'t available in {region}.'));
+        }
+    }
+
+    decline() {
+        this.saveAnswer('declined', this.readJurisdiction());
+        this.close();
+        this.apply(document);
+
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(this.t('declinedNotice', {}, 'Casino offers are only shown to readers of legal gambling age.'));
+        }
+    }
+
+    trapFocus(e) {
+        const focusables = [...this.form.querySelectorAll('a[href], button:not([disabled]), select, input')]
+            .filter(element => !element.closest('[hidden]'));
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Consent Manager
+// Nothing optional is stored, sent or loaded until the reader agrees to it.
+// Choices are kept per category together with SITE_CONFIG.consent.version,
+// so publishing a new policy version asks again. Managers read and write
+// through getItem / setItem / removeItem, which look each key up in
+// CONSENT_STORAGE_KEYS: a write the reader hasn't agreed to is only held in
+// memory for the current page (and saved if they agree later), and
+// withdrawing consent deletes what was stored. Third-party resources are
+// marked up inert, with data-consent="<category>" and data-consent-src /
+// data-consent-href, and only requested once their category is allowed.
+// Every change dispatches koncept:consent-changed
+// { categories, granted, revoked }.
+const CONSENT_CATEGORIES = ['necessary', 'preferences', 'analytics', 'marketing'];
+
+// Which category each localStorage key belongs to. Necessary keys back
+// things the reader explicitly asked for (the assessment history is only
+// kept when they tick "save") or that the site can't work without.
+const CONSENT_STORAGE_KEYS = {
+    consent: 'necessary',
+    'age-gate': 'necessary',
+    'gambling-limits': 'necessary',
+    'assessment-history': 'necessary',
+    'offline-queue': 'necessary',
+    'preferred-language': 'preferences',
+    'preferred-state': 'preferences',
+    motion: 'preferences',
+    'review-weights': 'preferences',
+    'compare-casinos': 'preferences',
+    'bonus-code-copies': 'analytics'
+};
+
+class ConsentManager {
+    constructor(options = SITE_CONFIG.consent) {
+        this.options = options;
+        this.storageKey = 'consent';
+        this.previousVersion = null;
+        this.choice = this.loadChoice();
+        this.pending = new Map();
+        this.banner = null;
+        this.dialog = null;
+        this.lastFocus = null;
+        // Set by setTranslator: the LanguageManager is built after us,
+        // since it stores the reader's language through consent.
+        this.i18n = null;
+        this.init();
+    }
+
+    setTranslator(i18n) {
+        this.i18n = i18n;
+    }
+
+    t(key, params, fallback) {
+        return this.i18n ? this.i18n.t(`consent.${key}`, params, fallback) : fallback;
+    }
+
+    init() {
+        this.applyResources(document);
+        this.addSettingsLink();
+
+        document.addEventListener('koncept:rendered', (e) => {
+            this.applyResources(e.detail.root);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-accept]')) {
+                this.save(Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, true])));
+            } else if (e.target.closest('[data-consent-reject]')) {
+                this.save({});
+            } else if (e.target.closest('[data-consent-open]')) {
+                this.openPreferences(e.target.closest('[data-consent-open]'));
+            }
+        });
+
+        if (!this.choice) {
+            this.showBanner();
+        }
+    }
+
+    // Saved choice for the current policy version, or null
+    loadChoice() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.categories) {
+                this.previousVersion = saved.version;
+                return saved.version === this.options.version ? saved : null;
+            }
+        } catch (error) {
+            // An unreadable choice is asked again
+        }
+        return null;
+    }
+
+    has(category) {
+        return category === 'necessary' || Boolean(this.choice && this.choice.categories[category]);
+    }
+
+    getCategory(key) {
+        if (!(key in CONSENT_STORAGE_KEYS)) {
+            console.warn(`No consent category for storage key "${key}", treating it as a preference`);
+            return 'preferences';
+        }
+        return CONSENT_STORAGE_KEYS[key];
+    }
+
+    getItem(key) {
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+        return this.has(this.getCategory(key)) ? localStorage.getItem(key) : null;
+    }
+
+    setItem(key, value) {
+        if (this.has(this.getCategory(key))) {
+            this.pending.delete(key);
+            localStorage.setItem(key, value);
+        } else {
+            this.pending.set(key, String(value));
+        }
+    }
+
+    removeItem(key) {
+        this.pending.delete(key);
+        localStorage.removeItem(key);
+    }
+
+    // categories: { preferences: true, analytics: false, ... }; necessary is always on
+    save(categories) {
+        const before = Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, this.has(category)]));
+
+        this.choice = {
+            version: this.options.version,
+            categories: Object.fromEntries(CONSENT_CATEGORIES.slice(1).map(category => [category, Boolean(categories[category])])),
+            updatedAt: new Date().toISOString()
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.choice));
+
+        const granted = CONSENT_CATEGORIES.filter(category => !before[category] && this.has(category));
+        const revoked = CONSENT_CATEGORIES.filter(category => before[category] && !this.has(category));
+
+        // Save what was held back, and keep withdrawn values for this page only
+        this.pending.forEach((value, key) => {
+            if (this.has(this.getCategory(key))) {
+                localStorage.setItem(key, value);
+                this.pending.delete(key);
+            }
+        });
+        Object.entries(CONSENT_STORAGE_KEYS).forEach(([key, category]) => {
+            const value = localStorage.getItem(key);
+            if (revoked.includes(category) && value !== null) {
+                this.pending.set(key, value);
+                localStorage.removeItem(key);
+            }
+        });
+
+        this.applyResources(document);
+        this.hideBanner();
+        this.closePreferences();
+
+        document.dispatchEvent(new CustomEvent('koncept:consent-changed', {
+            detail: { categories: { ...this.choice.categories }, granted, revoked }
+        }));
+
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(this.t('saved', {}, 'Your privacy choices were saved'));
+        }
+    }
+
+    // Load (or unload) resources marked with data-consent
+    applyResources(root) {
+        const elements = root.querySelectorAll ? root.querySelectorAll('[data-consent]') : [];
+        elements.forEach(element => {
+            const attribute = element.hasAttribute('data-consent-href') ? 'href' : 'src';
+            if (this.has(element.dataset.consent)) {
+                if (element.getAttribute(attribute) !== element.getAttribute(`data-consent-${attribute}`)) {
+                    element.setAttribute(attribute, element.getAttribute(`data-consent-${attribute}`));
+                }
+            } else {
+                element.removeAttribute(attribute);
+            }
+        });
+    }
+
+    // "Cookie settings" next to the privacy policy link in the footer
+    addSettingsLink() {
+        const policyLink = document.querySelector('.footer a[href$="privacy-policy.html"]');
+        const list = policyLink && policyLink.closest('ul');
+        if (!list || list.querySelector('[data-consent-open]')) {
+            return;
+        }
+
+        const item = document.createElement('li');
+        item.innerHTML = '<button type="button" class="consent-settings-link" data-consent-open data-i18n="consent.settings">Cookie settings</button>';
+        list.appendChild(item);
+    }
+
+    showBanner() {
+        const updated = Boolean(this.previousVersion);
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('aria-label', 'Privacy choices');
+        this.banner.setAttribute('data-i18n-attr', 'aria-label:consent.bannerLabel');
+        this.banner.innerHTML = `
+            <div class="container">
+                <p>
+                    ${updated
+                        ? '<strong data-i18n="consent.updated">Our privacy policy has changed, please review your choices.</strong>'
+                        : ''}
+                    <span data-i18n="consent.message">We store a few things in this browser to make the site work. With your permission we also remember your preferences, measure performance and clicks, and load fonts and casino logos from other sites.</span>
+                    <a href="${utils.escapeHtml(utils.resolveUrl(this.options.policy))}" data-i18n="consent.policy">Privacy policy</a>
+                </p>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-primary" data-consent-accept data-i18n="consent.acceptAll">Accept all</button>
+                    <button type="button" class="btn btn-primary" data-consent-reject data-i18n="consent.rejectAll">Necessary only</button>
+                    <button type="button" class="btn btn-outline" data-consent-open data-i18n="consent.customize">Customize</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    openPreferences(trigger) {
+        const e = utils.escapeHtml;
+        const categories = {
+            necessary: ['Necessary', 'Your age check, privacy choices, personal limits, saved assessment results and forms sent while offline. Always on.'],
+            preferences: ['Preferences', 'Your language, state, ranking weights and casinos picked for comparison.'],
+            analytics: ['Analytics', 'Page speed measurements and counts of offer clicks and copied codes, sent to Koncept Gaming only.'],
+            marketing: ['Marketing and third-party content', 'Fonts from Google Fonts and casino logos hosted by other sites, which see your IP address when they load.']
+        };
+
+        if (!this.dialog) {
+            this.dialog = document.createElement('div');
+            this.dialog.className = 'consent-dialog';
+            this.dialog.setAttribute('role', 'dialog');
+            this.dialog.setAttribute('aria-modal', 'true');
+            this.dialog.setAttribute('aria-labelledby', 'consent-title');
+            this.dialog.hidden = true;
+            this.dialog.innerHTML = `
+                <form class="consent-panel">
+                    <div class="calculator-header">
+                        <h3 id="consent-title" data-i18n="consent.title">Privacy choices</h3>
+                        <button type="button" class="calculator-close" data-consent-close aria-label="Close" data-i18n-attr="aria-label:consent.close">×</button>
+                    </div>
+                    ${CONSENT_CATEGORIES.map(category => `
+                        <label class="consent-category">
+                            <input type="checkbox" name="${category}"${category === 'necessary' ? ' checked disabled' : ''} />
+                            <span>
+                                <strong data-i18n="consent.categories.${category}.label">${e(categories[category][0])}</strong>
+                                <span data-i18n="consent.categories.${category}.description">${e(categories[category][1])}</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                    <div class="consent-actions">
+                        <button type="submit" class="btn btn-primary" data-i18n="consent.save">Save choices</button>
+                        <button type="button" class="btn btn-outline" data-consent-accept data-i18n="consent.acceptAll">Accept all</button>
+                    </div>
+                </form>
+            `;
+            document.body.appendChild(this.dialog);
+
+            const form = this.dialog.querySelector('form');
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.save(Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, form.elements[category].checked])));
+            });
+
+            this.dialog.addEventListener('click', (event) => {
+                if (event.target === this.dialog || event.target.closest('[data-consent-close]')) {
+                    this.closePreferences();
+                }
+            });
+
+            document.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape' && !this.dialog.hidden) {
+                    this.closePreferences();
+                }
+            });
+
+            document.dispatchEvent(new CustomEvent('koncept:rendered', {
+                detail: { root: this.dialog, source: 'consent' }
+            }));
+        }
+
+        const form = this.dialog.querySelector('form');
+        CONSENT_CATEGORIES.slice(1).forEach(category => {
+            form.elements[category].checked = this.has(category);
+        });
+
+        this.lastFocus = trigger || document.activeElement;
+        this.dialog.hidden = false;
+        document.body.classList.add('consent-open');
+        form.elements.preferences.focus();
+    }
+
+    closePreferences({ restoreFocus = true } = {}) {
+        if (!this.dialog || this.dialog.hidden) {
+            return;
+        }
+
+        this.dialog.hidden = true;
+        document.body.classList.remove('consent-open');
+        if (restoreFocus && this.lastFocus && this.lastFocus.isConnected) {
+            this.lastFocus.focus();
+        }
+    }
+}
+
+// Structured Data
+// Rich-result JSON-LD is built from what the page actually shows, never
+// typed by hand: Offer entries for the bonuses on the page (data/bonuses.json),
+// a Review per .review-card scored with the published weights, and a
+// FAQPage from the .faq-item questions. Each kind goes in its own
+// <script type="application/ld+json" data-structured-data="<kind>"> in the
+// head and is rebuilt on language switches. Entries missing a property
+// listed in STRUCTURED_DATA_REQUIRED are dropped with a warning instead of
+// being published. Ratings are single editorial scores, so no
+// AggregateRating is emitted: it needs a count of independent ratings.
+const STRUCTURED_DATA_REQUIRED = {
+    Offer: ['name', 'url', 'offeredBy'],
+    Review: ['itemReviewed', 'reviewRating', 'author'],
+    Rating: ['ratingValue', 'bestRating'],
+    Organization: ['name'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text'],
+    ItemList: ['itemListElement'],
+    ListItem: ['position', 'name']
+};
+
+class StructuredData {
+    constructor(catalog, reviews, i18n, options = SITE_CONFIG.structuredData) {
+        this.catalog = catalog;
+        this.reviews = reviews;
+        this.i18n = i18n;
+        this.options = options;
+        this.init();
+    }
+
+    async init() {
+        await Promise.all([this.catalog.ready, this.reviews.ready, this.i18n.ready]);
+        this.publishAll();
+
+        document.addEventListener('koncept:language-changed', () => this.publishAll());
+    }
+
+    publishAll() {
+        this.publish('offers', this.buildOffers());
+        this.publish('reviews', this.buildReviews());
+        this.publish('faq', this.buildFaq());
+    }
+
+    // Problems with a node and everything nested in it, as "Review.author"
+    static validate(node, path = node['@type']) {
+        const problems = (STRUCTURED_DATA_REQUIRED[node['@type']] || [])
+            .filter(property => {
+                const value = node[property];
+                return value === undefined || value === null || value === ''
+                    || (Array.isArray(value) && value.length === 0);
+            })
+            .map(property => `${path}.${property}`);
+
+        Object.entries(node).forEach(([property, value]) => {
+            [].concat(value).forEach(child => {
+                if (child && typeof child === 'object' && child['@type']) {
+                    problems.push(...StructuredData.validate(child, `${path}.${property}`));
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    publish(kind, entries) {
+        const valid = entries.filter(entry => {
+            const problems = StructuredData.validate(entry);
+            if (problems.length > 0) {
+                console.warn(`Structured data: skipped ${entry['@type']} missing ${problems.join(', ')}`);
+            }
+            return problems.length === 0;
+        });
+
+        let script = document.head.querySelector(`script[data-structured-data="${kind}"]`);
+        if (valid.length === 0) {
+            if (script) {
+                script.remove();
+            }
+            return;
+        }
+
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.structuredData = kind;
+            document.head.appendChild(script);
+        }
+
+        const graph = valid.length === 1 ? valid[0] : { '@graph': valid };
+        script.textContent = JSON.stringify({ '@context': 'https://schema.org', ...graph });
+    }
+
+    getPublisher() {
+        return { '@type': 'Organization', ...this.options.publisher };
+    }
+
+    // One Offer per bonus shown on the page, with validThrough
+    buildOffers() {
+        const ids = new Set([...document.querySelectorAll('[data-bonus-id], [data-bonus-offer]')]
+            .map(offer => offer.dataset.bonusId || offer.dataset.bonusOffer));
+        const now = new Date();
+
+        return this.catalog.bonuses
+            .filter(bonus => ids.has(bonus.id))
+            .map(bonus => ({
+                '@type': 'Offer',
+                name: `${bonus.casino}: ${this.catalog.getHeadline(bonus)}`,
+                description: this.i18n.localize(bonus, 'welcomeOffer'),
+                url: bonus.affiliateUrl,
+                category: bonus.type,
+                validFrom: bonus.validFrom,
+                validThrough: bonus.expiresAt,
+                availability: BonusFreshness.getStatus(bonus, now, 0) === 'expired'
+                    ? 'https://schema.org/Discontinued'
+                    : 'https://schema.org/InStock',
+                eligibleRegion: (bonus.states || []).map(state => ({ '@type': 'State', name: US_STATES[state] || state })),
+                offeredBy: { '@type': 'Organization', name: bonus.casino }
+            }));
+    }
+
+    // The same overall score ReviewScoring renders, with the card's pros and cons
+    buildReviews() {
+        const published = this.reviews.getPublishedWeights();
+
+        return [...this.reviews.cards]
+            .map(card => ({ card, review: this.reviews.getReview(card.dataset.reviewId) }))
+            .filter(({ review }) => review)
+            .map(({ card, review }) => {
+                const name = card.querySelector('h3')?.textContent.trim() || review.casino;
+                return {
+                    '@type': 'Review',
+                    itemReviewed: { '@type': 'Organization', name },
+                    reviewRating: {
+                        '@type': 'Rating',
+                        ratingValue: ReviewScoring.score(review.scores, published),
+                        bestRating: 5,
+                        worstRating: 1
+                    },
+                    author: this.getPublisher(),
+                    url: card.id ? `${location.origin}${location.pathname}#${card.id}` : undefined,
+                    positiveNotes: this.buildNotes(card.querySelectorAll('.pros li')),
+                    negativeNotes: this.buildNotes(card.querySelectorAll('.cons li'))
+                };
+            });
+    }
+
+    buildNotes(items) {
+        const notes = [...items]
+            .map(item => item.textContent.replace(/^[\s✓✗]+/, '').trim())
+            .filter(Boolean);
+
+        if (notes.length === 0) {
+            return undefined;
+        }
+
+        return {
+            '@type': 'ItemList',
+            itemListElement: notes.map((note, index) => ({ '@type': 'ListItem', position: index + 1, name: note }))
+        };
+    }
+
+    buildFaq() {
+        const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+        const questions = [...document.querySelectorAll('.faq-item')].map(item => {
+            const question = item.querySelector('.faq-question span:not(.faq-toggle)') || item.querySelector('.faq-question');
+            const answer = item.querySelector('.faq-answer');
+            return {
+                '@type': 'Question',
+                name: question ? collapse(question.textContent) : '',
+                acceptedAnswer: { '@type': 'Answer', text: answer ? collapse(answer.textContent) : '' }
+            };
+        });
+
+        return questions.length > 0 ? [{ '@type': 'FAQPage', mainEntity: questions }] : [];
+    }
+}
+
+// Main Application Class
+class KonceptGaming {
+    constructor() {
+        this.domHandler = new DOMHandler();
+        this.consentManager = null;
+        this.animationManager = null;
+        this.navigationManager = null;
+        this.formManager = null;
+        this.languageManager = null;
+        this.performanceMonitor = null;
+        this.accessibilityManager = null;
+        this.bonusCatalog = null;
+        this.bonusFilter = null;
+        this.stateManager = null;
+        this.wageringCalculator = null;
+        this.reviewScoring = null;
+        this.comparisonManager = null;
+        this.selfAssessment = null;
+        this.limitsManager = null;
+        this.bonusFreshness = null;
+        this.tabs = [];
+        this.accordions = [];
+        this.outboundLinks = null;
+        this.bonusCodes = null;
+        this.siteSearch = null;
+        this.offlineManager = null;
+        this.paymentFinder = null;
+        this.ageGate = null;
+        this.structuredData = null;
+        
         this.init();
     }
 
@@ -747,12 +6886,32 @@ class KonceptGaming {
             console.log('🎰 Koncept Gaming - Initializing...');
             
             // Initialize all managers
-            this.animationManager = new AnimationManager();
+            this.consentManager = new ConsentManager();
+            this.animationManager = new AnimationManager(this.consentManager);
             this.navigationManager = new NavigationManager();
-            this.formManager = new FormManager();
-            this.languageManager = new LanguageManager();
-            this.performanceMonitor = new PerformanceMonitor();
-            this.accessibilityManager = new AccessibilityManager();
+            this.languageManager = new LanguageManager(this.consentManager);
+            this.consentManager.setTranslator(this.languageManager);
+            this.offlineManager = new OfflineManager(this.languageManager, this.consentManager);
+            this.formManager = new FormManager(new NewsletterAdapter(SITE_CONFIG.newsletter, this.offlineManager), this.languageManager);
+            this.performanceMonitor = new PerformanceMonitor(this.offlineManager, this.consentManager);
+            this.accessibilityManager = new AccessibilityManager(this.navigationManager);
+            this.tabs = Tabs.initAll();
+            this.accordions = Accordion.initAll();
+            this.bonusCatalog = new BonusCatalog(this.languageManager);
+            this.bonusFilter = new BonusFilter(this.bonusCatalog, this.languageManager);
+            this.stateManager = new StateManager(this.bonusCatalog, this.languageManager, this.consentManager);
+            this.ageGate = new AgeGate(this.stateManager, this.languageManager, this.consentManager);
+            this.bonusFreshness = new BonusFreshness(this.bonusCatalog, this.languageManager);
+            this.wageringCalculator = new WageringCalculator(this.bonusCatalog, this.languageManager);
+            this.reviewScoring = new ReviewScoring(this.languageManager, this.consentManager);
+            this.comparisonManager = new ComparisonManager(this.bonusCatalog, this.ageGate, this.languageManager, this.consentManager);
+            this.selfAssessment = new SelfAssessment(this.formManager, this.languageManager, this.consentManager);
+            this.limitsManager = new LimitsManager(this.formManager, this.languageManager, this.consentManager);
+            this.bonusCodes = new BonusCodeManager(this.languageManager, this.consentManager);
+            this.siteSearch = new SiteSearch(this.navigationManager, this.languageManager);
+            this.outboundLinks = new OutboundLinkManager(this.bonusCatalog, this.ageGate, this.languageManager, this.offlineManager);
+            this.paymentFinder = new PaymentFinder(this.languageManager);
+            this.structuredData = new StructuredData(this.bonusCatalog, this.reviewScoring, this.languageManager);
             
             // Setup global event listeners
             this.setupGlobalEvents();
@@ -767,20 +6926,30 @@ class KonceptGaming {
     }
 
     setupGlobalEvents() {
+        // Enhance tabs and accordions inside dynamically rendered markup
+        document.addEventListener('koncept:rendered', (e) => {
+            this.tabs.push(...Tabs.initAll(e.detail.root));
+            this.accordions.push(...Accordion.initAll(e.detail.root));
+        });
+
         // Handle page visibility changes
         document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-                // Resume animations or refresh data if needed
-                console.log('Page is now visible');
-            } else {
-                // Pause animations to save resources
-                console.log('Page is now hidden');
+            const visible = document.visibilityState === 'visible';
+
+            if (this.limitsManager) {
+                this.limitsManager.handleVisibilityChange(visible);
+            }
+
+            // Pause parallax and CSS animations to save resources
+            if (this.animationManager) {
+                this.animationManager.handleVisibilityChange(visible);
             }
         });
 
         // Handle online/offline status
         window.addEventListener('online', () => {
             console.log('Connection restored');
+            this.offlineManager.handleConnectionChange(true);
             if (window.announceToScreenReader) {
                 window.announceToScreenReader('Internet connection restored');
             }
@@ -788,6 +6957,7 @@ class KonceptGaming {
 
         window.addEventListener('offline', () => {
             console.log('Connection lost');
+            this.offlineManager.handleConnectionChange(false);
             if (window.announceToScreenReader) {
                 window.announceToScreenReader('Internet connection lost');
             }
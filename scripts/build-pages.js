@@ -0,0 +1,253 @@
+// Koncept Gaming - Page assembly and link check
+// Rebuilds the legal banner, navbar and footer of every page from the
+// shared markup in partials/, writes sitemap.xml and checks that nothing
+// the site links to is missing. Run it after editing a partial or adding a
+// page:
+//
+//   node scripts/build-pages.js           rebuild pages and sitemap.xml
+//   node scripts/build-pages.js --check   only report, e.g. in CI
+//
+// A page marks where a partial goes with a pair of comments, and everything
+// between them is replaced on each build:
+//
+//   <!-- partial:navbar -->
+//   <!-- /partial:navbar -->
+//
+// Partials write site links from the root (/pages/casino-reviews.html) and
+// they are rewritten relative to each page. A .nav-link pointing at the page
+// being built is marked active with aria-current="page".
+//
+// The check fails (exit code 1) on any link, image or script that points
+// at a file that does not exist, a #fragment with no matching id on its
+// page, a missing file in the sw.js cache lists, manifest.webmanifest,
+// css/styles.css or the data sources in js/app.js, a page in pages/
+// that is not listed in PAGES, and a bonus in data/bonuses.json offered in
+// other states than its casino is licensed in (data/casinos.json).
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_DIR = path.resolve(__dirname, '..');
+const PARTIALS_DIR = path.join(SITE_DIR, 'partials');
+const SITEMAP = path.join(SITE_DIR, 'sitemap.xml');
+const PAGES = [
+    'index.html',
+    'pages/no-deposit-bonuses.html',
+    'pages/casino-reviews.html',
+    'pages/licensed-casinos.html',
+    'pages/payment-methods.html',
+    'pages/responsible-gambling.html',
+    'pages/privacy-policy.html',
+    'pages/affiliate-disclosure.html',
+    'pages/terms-conditions.html'
+];
+
+const PARTIAL_PATTERN = /^([ \t]*)<!-- partial:([\w-]+) -->\n[\s\S]*?^[ \t]*<!-- \/partial:\2 -->$/gm;
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+const partials = new Map();
+
+function readPartial(name) {
+    if (!partials.has(name)) {
+        const file = path.join(PARTIALS_DIR, `${name}.html`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Unknown partial "${name}" (no ${path.relative(SITE_DIR, file)})`);
+        }
+        partials.set(name, fs.readFileSync(file, 'utf8').trimEnd());
+    }
+    return partials.get(name);
+}
+
+// '/pages/licensed-casinos.html#nj' as seen from pages/casino-reviews.html
+// is 'licensed-casinos.html#nj'
+function relativeTo(page, url) {
+    const [, pathname, suffix] = url.match(/^\/([^?#]*)(.*)$/);
+    return path.posix.relative(path.posix.dirname(page), pathname) + suffix;
+}
+
+function markActiveLinks(html, page) {
+    return html.replace(/<a\b[^>]*>/g, (tag) => {
+        const href = tag.match(/\shref="([^"?#]*)/);
+        if (!/\sclass="[^"]*\bnav-link\b/.test(tag) || !href || href[1] !== `/${page}`) {
+            return tag;
+        }
+        // Same whitespace as before class, so multi-line tags stay one attribute per line
+        return tag.replace(/(\s+)class="([^"]*)"/, '$1class="$2 active"$1aria-current="page"');
+    });
+}
+
+function renderPartial(name, page, indent) {
+    return markActiveLinks(readPartial(name), page)
+        .replace(/(\s(?:href|src)=")(\/[^"]*)"/g, (match, attribute, url) => `${attribute}${relativeTo(page, url)}"`)
+        .split('\n')
+        .map(line => (line ? indent + line : line))
+        .join('\n');
+}
+
+function assemble(page, html) {
+    return html.replace(PARTIAL_PATTERN, (match, indent, name) => [
+        `${indent}<!-- partial:${name} -->`,
+        renderPartial(name, page, indent),
+        `${indent}<!-- /partial:${name} -->`
+    ].join('\n'));
+}
+
+function decodeEntities(text) {
+    return text.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+}
+
+function collectIds(html) {
+    return new Set([...html.matchAll(/\sid="([^"]+)"/g)].map(match => decodeEntities(match[1])));
+}
+
+// Checks one reference from a file in the site. `from` is the referring
+// file, relative to the site root; `ids` maps built pages to their ids so
+// fragments are checked against what will be written.
+function checkReference(from, url, ids, problems) {
+    if (!url || url === '#' || EXTERNAL_PATTERN.test(url)) {
+        return;
+    }
+
+    const [, rawPath, fragment] = decodeEntities(url).match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+    const target = rawPath
+        ? path.posix.normalize(path.posix.join(path.posix.dirname(from), decodeURIComponent(rawPath)))
+        : from;
+    const file = path.join(SITE_DIR, target);
+
+    if (target.startsWith('..') || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        problems.push(`${from}: ${url} does not exist`);
+        return;
+    }
+
+    if (fragment && target.endsWith('.html')) {
+        const targetIds = ids.get(target) || collectIds(fs.readFileSync(file, 'utf8'));
+        if (!targetIds.has(decodeURIComponent(fragment))) {
+            problems.push(`${from}: ${url} has no element with id "${fragment}"`);
+        }
+    }
+}
+
+function checkPages(built, problems) {
+    const ids = new Map([...built].map(([page, html]) => [page, collectIds(html)]));
+
+    built.forEach((html, page) => {
+        const markup = html.replace(/<!--[\s\S]*?-->/g, '');
+        [...markup.matchAll(/\s(?:href|src)="([^"]*)"/g)].forEach(([, url]) => {
+            checkReference(page, url, ids, problems);
+        });
+    });
+
+    const listed = new Set(PAGES);
+    fs.readdirSync(path.join(SITE_DIR, 'pages'))
+        .filter(file => file.endsWith('.html') && !listed.has(`pages/${file}`))
+        .forEach(file => problems.push(`pages/${file} is not listed in PAGES in scripts/build-pages.js`));
+}
+
+// Files named in code and config rather than in page markup
+function checkAssets(problems) {
+    const read = (file) => fs.readFileSync(path.join(SITE_DIR, file), 'utf8');
+    const quoted = (source) => [...source.matchAll(/'((?:[\w-]+\/)*[\w()-][\w().-]*\.(?:html|css|js|json|png|webmanifest))'/g)]
+        .map(match => match[1]);
+
+    quoted(read('sw.js')).forEach(file => checkReference('sw.js', file, new Map(), problems));
+    quoted(read('js/app.js')).forEach(file => checkReference('index.html', file, new Map(), problems));
+
+    const manifest = JSON.parse(read('manifest.webmanifest'));
+    [manifest.start_url, ...(manifest.icons || []).map(icon => icon.src)]
+        .forEach(url => checkReference('manifest.webmanifest', url, new Map(), problems));
+
+    [...read('css/styles.css').matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)]
+        .filter(([, url]) => !url.startsWith('data:'))
+        .forEach(([, url]) => checkReference('css/styles.css', url, new Map(), problems));
+
+    const cached = new Set(quoted(read('sw.js')));
+    PAGES.filter(page => !cached.has(page))
+        .forEach(page => problems.push(`${page} is not in the sw.js SHELL_FILES cache list`));
+}
+
+// Offer states are a legal claim, so they must match the casino's licenses
+function checkCatalog(problems) {
+    const read = (file) => JSON.parse(fs.readFileSync(path.join(SITE_DIR, file), 'utf8'));
+    const licensed = new Map(read('data/casinos.json').casinos
+        .map(casino => [casino.id, (casino.licenses || []).map(license => license.state).sort().join(', ')]));
+
+    read('data/bonuses.json').bonuses.forEach(bonus => {
+        const states = [...bonus.states].sort().join(', ');
+        if (licensed.has(bonus.id) && licensed.get(bonus.id) !== states) {
+            problems.push(`data/bonuses.json: ${bonus.id} is offered in ${states} but licensed in ${licensed.get(bonus.id) || 'no state'}`);
+        }
+    });
+}
+
+function canonicalUrl(page, html) {
+    const canonical = html.match(/<link\s+rel="canonical"\s+href="([^"]+)"/);
+    if (canonical) {
+        return canonical[1];
+    }
+    const host = fs.readFileSync(path.join(SITE_DIR, 'CNAME'), 'utf8').trim();
+    return `https://${host}/${page === 'index.html' ? '' : page}`;
+}
+
+function renderSitemap(built) {
+    const urls = [...built].map(([page, html]) => `  <url>\n    <loc>${canonicalUrl(page, html)}</loc>\n  </url>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function build({ check = false } = {}) {
+    const problems = [];
+    const built = new Map();
+    const outdated = [];
+
+    PAGES.forEach(page => {
+        const file = path.join(SITE_DIR, page);
+        if (!fs.existsSync(file)) {
+            problems.push(`${page} is listed in PAGES but does not exist`);
+            return;
+        }
+
+        const source = fs.readFileSync(file, 'utf8');
+        const html = assemble(page, source);
+        built.set(page, html);
+        if (html !== source) {
+            outdated.push([file, html]);
+        }
+    });
+
+    const sitemap = renderSitemap(built);
+    if (!fs.existsSync(SITEMAP) || fs.readFileSync(SITEMAP, 'utf8') !== sitemap) {
+        outdated.push([SITEMAP, sitemap]);
+    }
+
+    checkPages(built, problems);
+    checkAssets(problems);
+    checkCatalog(problems);
+
+    if (check) {
+        outdated.forEach(([file]) => problems.push(`${path.relative(SITE_DIR, file)} is out of date`));
+    } else {
+        outdated.forEach(([file, content]) => fs.writeFileSync(file, content));
+        console.log(`Assembled ${built.size} pages, ${outdated.length} file(s) updated`);
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`✗ ${problem}`));
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        build({ check: process.argv.includes('--check') });
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { PAGES, assemble, build };
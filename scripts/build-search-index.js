@@ -0,0 +1,143 @@
+// Koncept Gaming - Site search index builder
+// Collects the searchable sections of every page into data/search-index.json
+// for SiteSearch. Run it after editing page content or data/bonuses.json:
+//
+//   node scripts/build-search-index.js
+//
+// A section is indexed when its element has an id and a data-search="<type>"
+// attribute (casino, state, payment, faq, ...). Its title is the first
+// heading inside it unless data-search-title overrides it, and
+// data-search-keywords adds terms that do not appear in the text. Each page
+// listed in PAGES in scripts/build-pages.js gets an entry of its own, and
+// every offer in data/bonuses.json is indexed against its row on the no
+// deposit bonuses page.
+
+const fs = require('fs');
+const path = require('path');
+const { PAGES } = require('./build-pages');
+
+const SITE_DIR = path.resolve(__dirname, '..');
+const OUTPUT = path.join(SITE_DIR, 'data', 'search-index.json');
+const BONUS_PAGE = 'pages/no-deposit-bonuses.html';
+const MAX_TEXT_LENGTH = 240;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#?\w+);/g, (match, name) => ENTITIES[name] || match);
+}
+
+// Visible text only: decorative icons, star ratings and aria-hidden
+// markers such as the FAQ "+" are dropped
+function toText(html) {
+    return decodeEntities(html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<(\w+)[^>]*aria-hidden="true"[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[★☆✓✗]|\p{Extended_Pictographic}/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text, length = MAX_TEXT_LENGTH) {
+    return text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…` : text;
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([\w:-]+)(?:\s*=\s*"([^"]*)")?/g;
+    let match;
+    // Skip the tag name itself
+    pattern.exec(tag);
+    while ((match = pattern.exec(tag))) {
+        attributes[match[1]] = decodeEntities(match[2] || '');
+    }
+    return attributes;
+}
+
+// Every element carrying data-search, with its inner HTML. Walks the tags
+// keeping a stack of open elements, which is enough for the site's own
+// well-formed markup.
+function findSections(html) {
+    const sections = [];
+    const stack = [];
+    const tagPattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^>]*?)?)(\/?)>/g;
+    let match;
+
+    while ((match = tagPattern.exec(html))) {
+        const [tag, closing, rawName, , selfClosing] = match;
+        if (!rawName) {
+            continue;
+        }
+        const name = rawName.toLowerCase();
+
+        if (closing) {
+            const index = stack.map(open => open.name).lastIndexOf(name);
+            if (index === -1) {
+                continue;
+            }
+            const [open] = stack.splice(index);
+            if (open.attributes['data-search'] !== undefined) {
+                sections.push({ attributes: open.attributes, html: html.slice(open.contentStart, match.index) });
+            }
+        } else if (!selfClosing && !VOID_ELEMENTS.has(name)) {
+            stack.push({ name, attributes: parseAttributes(tag), contentStart: tagPattern.lastIndex });
+        }
+    }
+
+    return sections;
+}
+
+function indexPage(page) {
+    const html = fs.readFileSync(path.join(SITE_DIR, page), 'utf8');
+    const heading = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+    const description = html.match(/<meta\s+name="description"[^>]*?\scontent="([^"]*)"/i);
+    const entries = [{
+        type: 'page',
+        title: heading ? toText(heading[1]) : page,
+        url: page,
+        text: description ? truncate(decodeEntities(description[1])) : ''
+    }];
+
+    findSections(html).forEach(({ attributes, html: content }) => {
+        if (!attributes.id) {
+            console.warn(`${page}: data-search section without an id skipped`);
+            return;
+        }
+
+        const headingMatch = content.match(/<h[1-4][^>]*>([\s\S]*?)<\/h[1-4]>/i);
+        const title = attributes['data-search-title'] || (headingMatch ? toText(headingMatch[1]) : attributes.id);
+        const text = toText(content).replace(title, '').trim();
+
+        entries.push({
+            type: attributes['data-search'] || 'section',
+            title,
+            url: `${page}#${attributes.id}`,
+            text: truncate(text),
+            keywords: (attributes['data-search-keywords'] || '').split(/[\s,]+/).filter(Boolean)
+        });
+    });
+
+    return entries;
+}
+
+function indexBonuses() {
+    const { bonuses = [] } = JSON.parse(fs.readFileSync(path.join(SITE_DIR, 'data', 'bonuses.json'), 'utf8'));
+    return bonuses.map(bonus => ({
+        type: 'bonus',
+        title: `${bonus.casino}: ${bonus.headline}`,
+        url: `${BONUS_PAGE}#bonus-${bonus.id}`,
+        text: truncate([bonus.welcomeOffer, ...(bonus.features || [])].join('. ')),
+        keywords: [bonus.code, bonus.type, ...(bonus.states || [])].filter(Boolean)
+    }));
+}
+
+function build() {
+    const entries = [...PAGES.flatMap(indexPage), ...indexBonuses()];
+    const index = { generated: new Date().toISOString(), entries };
+    fs.writeFileSync(OUTPUT, `${JSON.stringify(index, null, 2)}\n`);
+    console.log(`Indexed ${entries.length} sections into ${path.relative(SITE_DIR, OUTPUT)}`);
+}
+
+build();
@@ -0,0 +1,87 @@
+// Koncept Gaming - Affiliate click collector
+// Receives the beacons OutboundLinkManager sends when a reader continues to
+// a casino and counts them per casino, offer and page. Mounted by
+// newsletter-server.js:
+//
+// POST /api/clicks           { casino, offer, code, page, position, url, timestamp } -> 204
+// GET  /api/clicks/summary   -> { clicks: 12, casinos: { betmgm: { clicks: 7, offers: {...}, pages: {...} } } }
+//
+// Clicks are kept in a JSON file (CLICKS_DB, default server/clicks.json),
+// newest MAX_CLICKS only.
+
+const fs = require('fs');
+
+const MAX_CLICKS = 20000;
+const ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+class ClickStore {
+    constructor(file) {
+        this.file = file;
+        this.clicks = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read ${this.file}, starting empty:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.clicks));
+    }
+
+    add(click) {
+        this.clicks.push(click);
+        if (this.clicks.length > MAX_CLICKS) {
+            this.clicks = this.clicks.slice(-MAX_CLICKS);
+        }
+        this.save();
+        return click;
+    }
+}
+
+// Returns a clean record, or null when the beacon is not one of ours
+function normalizeClick(report) {
+    if (!report || typeof report.casino !== 'string' || !ID_PATTERN.test(report.casino)
+        || typeof report.page !== 'string') {
+        return null;
+    }
+
+    return {
+        casino: report.casino,
+        offer: typeof report.offer === 'string' && ID_PATTERN.test(report.offer) ? report.offer : null,
+        page: report.page.slice(0, 200),
+        position: Number.isInteger(report.position) && report.position > 0 ? report.position : null,
+        receivedAt: Date.now()
+    };
+}
+
+function countBy(clicks, key) {
+    const counts = {};
+    clicks.forEach(click => {
+        if (click[key] !== null) {
+            counts[click[key]] = (counts[click[key]] || 0) + 1;
+        }
+    });
+    return counts;
+}
+
+function summarize(clicks) {
+    const casinos = {};
+    [...new Set(clicks.map(click => click.casino))].sort().forEach(casino => {
+        const casinoClicks = clicks.filter(click => click.casino === casino);
+        casinos[casino] = {
+            clicks: casinoClicks.length,
+            offers: countBy(casinoClicks, 'offer'),
+            pages: countBy(casinoClicks, 'page')
+        };
+    });
+    return { clicks: clicks.length, casinos };
+}
+
+module.exports = { ClickStore, normalizeClick, summarize };
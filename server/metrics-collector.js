@@ -0,0 +1,114 @@
+// Koncept Gaming - Field metrics collector
+// Receives the beacons sent by PerformanceMonitor and aggregates the 75th
+// percentile of each metric per page and device class, which is the value
+// Core Web Vitals are judged on. Mounted by newsletter-server.js:
+//
+// POST /api/metrics           { id, page, device, connection, metrics } -> 204
+// GET  /api/metrics/summary   -> { pages: { '/index.html': { all: {...}, mobile: {...} } } }
+//
+// Only the latest report per page view id is kept, since a view reports
+// again each time it is hidden. Views are kept in a JSON file
+// (METRICS_DB, default server/metrics.json), newest MAX_VIEWS only.
+
+const fs = require('fs');
+
+const METRICS = ['lcp', 'cls', 'inp', 'ttfb', 'pageLoadTime'];
+const DEVICES = ['mobile', 'tablet', 'desktop'];
+const MAX_VIEWS = 5000;
+
+class MetricsStore {
+    constructor(file) {
+        this.file = file;
+        this.views = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read ${this.file}, starting empty:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.views));
+    }
+
+    put(view) {
+        this.views = this.views.filter(existing => existing.id !== view.id);
+        this.views.push(view);
+        if (this.views.length > MAX_VIEWS) {
+            this.views = this.views.slice(-MAX_VIEWS);
+        }
+        this.save();
+        return view;
+    }
+}
+
+// Returns a clean record, or null when the beacon is not one of ours
+function normalizeReport(report) {
+    if (!report || typeof report.id !== 'string' || typeof report.page !== 'string') {
+        return null;
+    }
+
+    const metrics = {};
+    METRICS.forEach(name => {
+        const value = report.metrics && report.metrics[name];
+        if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+            metrics[name] = value;
+        }
+    });
+
+    if (!Object.keys(metrics).length) {
+        return null;
+    }
+
+    return {
+        id: report.id.slice(0, 40),
+        page: report.page.slice(0, 200),
+        device: DEVICES.includes(report.device) ? report.device : 'desktop',
+        connection: typeof report.connection === 'string' ? report.connection.slice(0, 10) : null,
+        metrics,
+        receivedAt: Date.now()
+    };
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+    if (!values.length) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0)];
+}
+
+function aggregate(views) {
+    const summary = {};
+    METRICS.forEach(name => {
+        const values = views.map(view => view.metrics[name]).filter(value => value !== undefined);
+        if (values.length) {
+            summary[name] = { p75: percentile(values, 75), count: values.length };
+        }
+    });
+    return summary;
+}
+
+function summarize(views) {
+    const pages = {};
+    [...new Set(views.map(view => view.page))].sort().forEach(page => {
+        const pageViews = views.filter(view => view.page === page);
+        pages[page] = { all: aggregate(pageViews) };
+        DEVICES.forEach(device => {
+            const deviceViews = pageViews.filter(view => view.device === device);
+            if (deviceViews.length) {
+                pages[page][device] = aggregate(deviceViews);
+            }
+        });
+    });
+    return { views: views.length, pages };
+}
+
+module.exports = { MetricsStore, normalizeReport, percentile, summarize };
@@ -0,0 +1,311 @@
+// Koncept Gaming - Newsletter reference server
+// Serves the static site and a double opt-in subscription API so the
+// newsletter flow can be exercised end to end without a mail provider.
+//
+//   node server/newsletter-server.js
+//
+// POST /api/newsletter/subscribe     { email, source, locale } -> 202 { status: 'pending' }
+// GET  /api/newsletter/confirm       ?token=...  -> redirects to /?newsletter=confirmed
+// GET  /api/newsletter/unsubscribe   ?token=...  -> redirects to /?newsletter=unsubscribed
+// POST /api/newsletter/unsubscribe   ?token=...  -> 200 { status: 'unsubscribed' } (one-click)
+//
+// It also mounts the field metrics collector (see metrics-collector.js) at
+// POST /api/metrics and GET /api/metrics/summary, and the affiliate click
+// collector (see click-collector.js) at POST /api/clicks and
+// GET /api/clicks/summary.
+//
+// No email is sent: the confirmation and unsubscribe links are printed to
+// the console instead. Subscriptions are kept in a JSON file
+// (NEWSLETTER_DB, default server/subscriptions.json).
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MetricsStore, normalizeReport, summarize } = require('./metrics-collector');
+const clickCollector = require('./click-collector');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const SITE_DIR = path.resolve(__dirname, '..');
+const DB_FILE = process.env.NEWSLETTER_DB || path.join(__dirname, 'subscriptions.json');
+const METRICS_FILE = process.env.METRICS_DB || path.join(__dirname, 'metrics.json');
+const CLICKS_FILE = process.env.CLICKS_DB || path.join(__dirname, 'clicks.json');
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+
+const CONFIRM_TOKEN_TTL = 48 * 60 * 60 * 1000;
+const RESEND_INTERVAL = 60 * 1000;
+const MAX_BODY_BYTES = 10 * 1024;
+
+// Only the published site is served: these top-level files and folders.
+// Anything else in the checkout (server/, scripts/, partials/, .git/) is not.
+const PUBLIC_FILES = ['index.html', 'sw.js', 'manifest.webmanifest', 'sitemap.xml'];
+const PUBLIC_DIRS = ['css', 'data', 'icons', 'js', 'pages'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.xml': 'application/xml; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8'
+};
+
+// Subscription Store
+// Records keyed by normalized email:
+// { email, status: 'pending' | 'confirmed' | 'unsubscribed', confirmToken,
+//   confirmExpires, unsubscribeToken, source, locale, createdAt, confirmedAt, lastSentAt }
+class SubscriptionStore {
+    constructor(file) {
+        this.file = file;
+        this.records = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read ${this.file}, starting empty:`, error.message);
+            }
+            return {};
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.records, null, 2));
+    }
+
+    get(email) {
+        return this.records[email] || null;
+    }
+
+    findByToken(field, token) {
+        return Object.values(this.records).find(record => record[field] === token) || null;
+    }
+
+    put(record) {
+        this.records[record.email] = record;
+        this.save();
+        return record;
+    }
+}
+
+const store = new SubscriptionStore(DB_FILE);
+const metricsStore = new MetricsStore(METRICS_FILE);
+const clickStore = new clickCollector.ClickStore(CLICKS_FILE);
+
+function createToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Stand-in for the confirmation email
+function sendConfirmation(record) {
+    console.log(`\n📧 Confirmation for ${record.email}`);
+    console.log(`   Confirm:     ${PUBLIC_URL}/api/newsletter/confirm?token=${record.confirmToken}`);
+    console.log(`   Unsubscribe: ${PUBLIC_URL}/api/newsletter/unsubscribe?token=${record.unsubscribeToken}\n`);
+}
+
+function subscribe({ email, source, locale }) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!isValidEmail(normalized)) {
+        return [400, { error: { code: 'invalid_email', message: 'Please enter a valid email address' } }];
+    }
+
+    const now = Date.now();
+    const existing = store.get(normalized);
+
+    if (existing && existing.status === 'confirmed') {
+        return [200, { status: 'subscribed' }];
+    }
+
+    if (existing && existing.status === 'pending' && now - existing.lastSentAt < RESEND_INTERVAL) {
+        return [429, { error: { code: 'rate_limited', message: 'A confirmation email was sent recently' } }];
+    }
+
+    const record = store.put({
+        email: normalized,
+        status: 'pending',
+        confirmToken: createToken(),
+        confirmExpires: now + CONFIRM_TOKEN_TTL,
+        unsubscribeToken: existing ? existing.unsubscribeToken : createToken(),
+        source: typeof source === 'string' ? source.slice(0, 200) : null,
+        locale: typeof locale === 'string' ? locale.slice(0, 10) : null,
+        createdAt: existing ? existing.createdAt : now,
+        confirmedAt: null,
+        lastSentAt: now
+    });
+
+    sendConfirmation(record);
+    return [202, { status: 'pending' }];
+}
+
+function confirm(token) {
+    const record = token ? store.findByToken('confirmToken', token) : null;
+    if (!record || record.status !== 'pending' || record.confirmExpires < Date.now()) {
+        return 'invalid-token';
+    }
+
+    store.put({ ...record, status: 'confirmed', confirmToken: null, confirmExpires: null, confirmedAt: Date.now() });
+    return 'confirmed';
+}
+
+function unsubscribe(token) {
+    const record = token ? store.findByToken('unsubscribeToken', token) : null;
+    if (!record) {
+        return 'invalid-token';
+    }
+
+    store.put({ ...record, status: 'unsubscribed', confirmToken: null, confirmExpires: null });
+    return 'unsubscribed';
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function redirectWithOutcome(res, outcome) {
+    res.writeHead(303, { Location: `/?newsletter=${outcome}#newsletter-form`, 'Cache-Control': 'no-store' });
+    res.end();
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function isPublicPath(relative) {
+    const segments = relative.split('/');
+    if (segments.some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+    return segments.length === 1 ? PUBLIC_FILES.includes(segments[0]) : PUBLIC_DIRS.includes(segments[0]);
+}
+
+function serveStatic(req, res, pathname) {
+    const relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    const file = path.resolve(SITE_DIR, relative);
+
+    if (!isPublicPath(relative) || !file.startsWith(SITE_DIR + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.stat(file, (error, stats) => {
+        const target = !error && stats.isDirectory() ? path.join(file, 'index.html') : file;
+        fs.readFile(target, (readError, content) => {
+            if (readError) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(target)] || 'application/octet-stream' });
+            res.end(req.method === 'HEAD' ? undefined : content);
+        });
+    });
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, PUBLIC_URL);
+    const route = `${req.method} ${url.pathname.replace(/\/$/, '')}`;
+    const token = url.searchParams.get('token');
+
+    try {
+        switch (route) {
+            case 'POST /api/newsletter/subscribe': {
+                const [status, body] = subscribe(await readJsonBody(req));
+                sendJson(res, status, body);
+                return;
+            }
+            case 'GET /api/newsletter/confirm':
+                redirectWithOutcome(res, confirm(token));
+                return;
+            case 'GET /api/newsletter/unsubscribe':
+                redirectWithOutcome(res, unsubscribe(token));
+                return;
+            case 'POST /api/newsletter/unsubscribe': {
+                const outcome = unsubscribe(token);
+                sendJson(res, outcome === 'unsubscribed' ? 200 : 404, outcome === 'unsubscribed'
+                    ? { status: outcome }
+                    : { error: { code: 'invalid_token', message: 'Unknown unsubscribe token' } });
+                return;
+            }
+            case 'POST /api/metrics': {
+                // Beacons are fire-and-forget, so unknown payloads are dropped quietly
+                const report = normalizeReport(await readJsonBody(req));
+                if (report) {
+                    metricsStore.put(report);
+                }
+                res.writeHead(204, { 'Cache-Control': 'no-store' });
+                res.end();
+                return;
+            }
+            case 'GET /api/metrics/summary':
+                sendJson(res, 200, summarize(metricsStore.views));
+                return;
+            case 'POST /api/clicks': {
+                const click = clickCollector.normalizeClick(await readJsonBody(req));
+                if (click) {
+                    clickStore.add(click);
+                }
+                res.writeHead(204, { 'Cache-Control': 'no-store' });
+                res.end();
+                return;
+            }
+            case 'GET /api/clicks/summary':
+                sendJson(res, 200, clickCollector.summarize(clickStore.clicks));
+                return;
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            sendJson(res, 404, { error: { code: 'not_found', message: 'Unknown endpoint' } });
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res, url.pathname);
+        } else {
+            sendJson(res, 405, { error: { code: 'method_not_allowed', message: 'Method not allowed' } });
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) {
+            console.error(error);
+        }
+        sendJson(res, status, { error: { code: status === 500 ? 'server_error' : 'bad_request', message: error.message } });
+    }
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(PORT, () => {
+        console.log(`🎰 Koncept Gaming running at ${PUBLIC_URL}`);
+        console.log(`   Subscriptions stored in ${DB_FILE}`);
+        console.log(`   Metrics stored in ${METRICS_FILE}`);
+        console.log(`   Clicks stored in ${CLICKS_FILE}`);
+    });
+}
+
+module.exports = { handleRequest, subscribe, confirm, unsubscribe, SubscriptionStore };
@@ -0,0 +1,168 @@
+// Koncept Gaming - Service worker
+// Keeps the site readable offline. Pages, styles, scripts and icons are
+// cached on install. Pages, scripts and styles go to the network first and
+// fall back to the cache, so a deploy never pairs new markup with an old
+// app.js; icons are served from the cache. JSON data (offers, casinos,
+// reviews, translations) is stale-while-revalidate: the cached copy answers
+// at once and is refreshed in the background. Cached data responses carry
+// an X-Koncept-Cached-At header so the page can tell readers how old
+// offline data is.
+//
+// Edits to pages, scripts, styles and data reach readers without any change
+// here. Bump CACHE_VERSION when SHELL_FILES or DATA_FILES change, or when an
+// icon is replaced under the same name, since icons are only fetched once.
+
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `koncept-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `koncept-data-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    'index.html',
+    'pages/no-deposit-bonuses.html',
+    'pages/casino-reviews.html',
+    'pages/licensed-casinos.html',
+    'pages/payment-methods.html',
+    'pages/responsible-gambling.html',
+    'pages/privacy-policy.html',
+    'pages/affiliate-disclosure.html',
+    'pages/terms-conditions.html',
+    'css/styles.css',
+    'js/app.js',
+    'manifest.webmanifest',
+    'icons/cg-icon-192.png',
+    'icons/cg-icon-512.png',
+    'icons/cg-icon-maskable-512.png',
+    'icons/cg-icon.png',
+    'icons/cigar.png',
+    'icons/clover.png',
+    'icons/coins.png',
+    'icons/dart.png',
+    'icons/dollar.png',
+    'icons/gambler.png',
+    'icons/gambling.png',
+    'icons/horseshoe(1).png',
+    'icons/ingot.png',
+    'icons/lottery-game.png',
+    'icons/man.png',
+    'icons/money-bag.png',
+    'icons/roulette(1).png',
+    'icons/ruby.png',
+    'icons/seven.png',
+    'icons/slot-machine(2).png',
+    'icons/strongbox.png',
+    'icons/sunglasses.png',
+    'icons/watermelon.png'
+];
+
+const DATA_FILES = [
+    'data/bonuses.json',
+    'data/casinos.json',
+    'data/reviews.json',
+    'data/payments.json',
+    'data/search-index.json',
+    'data/i18n/en.json',
+    'data/i18n/fr.json',
+    'data/assessments/quick-check.json',
+    'data/assessments/pgsi.json'
+];
+
+// Copy of a response with the time it was cached
+async function stamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Koncept-Cached-At', new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+async function cacheData(cache, request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, await stamp(response.clone()));
+    }
+    return response;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        const data = await caches.open(DATA_CACHE);
+        await Promise.all(DATA_FILES.map(file => cacheData(data, file)));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('koncept-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Offline, a page nobody cached falls back to the home page
+async function networkFirst(request, fallback = null) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (fallback && await cache.match(fallback))
+            || Response.error();
+    }
+}
+
+function staleWhileRevalidate(event) {
+    const { request } = event;
+    const refresh = caches.open(DATA_CACHE).then(cache => cacheData(cache, request));
+    // Keep the worker alive until the background refresh is stored
+    event.waitUntil(refresh.catch(() => {}));
+
+    return caches.match(request, { ignoreSearch: true }).then(cached => cached || refresh);
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only same-origin reads; API calls and third-party assets go straight through
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+    } else if (/\.(?:js|css)$/.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});